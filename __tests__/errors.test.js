@@ -0,0 +1,92 @@
+const { normalizeStack, getErrorDetails } = require('../src/errors');
+
+describe('errors', () => {
+  const chromeStack = [
+    'TypeError: Cannot read properties of undefined (reading \'items\')',
+    '    at renderResults (https://example.com/app.js?v=3:10:5)',
+    '    at https://example.com/app.js?v=3:42:1',
+  ].join('\n');
+
+  const rejection = (reason) => Object.assign(new Event('unhandledrejection'), { reason });
+
+  describe('normalizeStack', () => {
+    test('should keep the frames without query strings', () => {
+      expect(normalizeStack(chromeStack)).toBe([
+        'at renderResults (https://example.com/app.js:10:5)',
+        'at https://example.com/app.js:42:1',
+      ].join('\n'));
+    });
+
+    test('should support Firefox and Safari frames', () => {
+      expect(normalizeStack('renderResults@https://example.com/app.js#main:10:5\n@https://example.com/app.js:42:1'))
+        .toBe('renderResults@https://example.com/app.js:10:5\n@https://example.com/app.js:42:1');
+    });
+
+    test('should keep at most 10 frames', () => {
+      const stack = Array.from({ length: 20 }, (_, index) => `at f${index} (https://example.com/app.js:${index + 1}:1)`).join('\n');
+      expect(normalizeStack(stack).split('\n')).toHaveLength(10);
+    });
+
+    test('should ignore missing stacks', () => {
+      expect(normalizeStack(undefined)).toBeUndefined();
+      expect(normalizeStack('Error: no frames')).toBeUndefined();
+    });
+  });
+
+  describe('getErrorDetails', () => {
+    test('should read the location of error events', () => {
+      const error = new TypeError('Cannot read properties of undefined (reading \'items\')');
+      error.stack = chromeStack;
+      const event = new ErrorEvent('error', {
+        message: 'Uncaught TypeError: Cannot read properties of undefined (reading \'items\')',
+        filename: 'https://example.com/app.js?v=3',
+        lineno: 10,
+        colno: 5,
+        error,
+      });
+
+      expect(getErrorDetails(event)).toEqual({
+        errorType: 'error',
+        message: 'Uncaught TypeError: Cannot read properties of undefined (reading \'items\')',
+        stack: 'at renderResults (https://example.com/app.js:10:5)\nat https://example.com/app.js:42:1',
+        source: 'https://example.com/app.js',
+        lineNumber: 10,
+        columnNumber: 5,
+      });
+    });
+
+    test('should keep cross-origin script errors without a location', () => {
+      expect(getErrorDetails(new ErrorEvent('error', { message: 'Script error.' }))).toEqual({
+        errorType: 'error',
+        message: 'Script error.',
+        stack: undefined,
+        source: undefined,
+        lineNumber: undefined,
+        columnNumber: undefined,
+      });
+    });
+
+    test('should take the location of rejections from the first frame', () => {
+      const error = new TypeError('Failed to fetch');
+      error.stack = chromeStack;
+
+      expect(getErrorDetails(rejection(error))).toEqual(expect.objectContaining({
+        errorType: 'unhandledrejection',
+        message: 'TypeError: Failed to fetch',
+        source: 'https://example.com/app.js',
+        lineNumber: 10,
+        columnNumber: 5,
+      }));
+    });
+
+    test('should describe rejections with other reasons', () => {
+      expect(getErrorDetails(rejection('timeout')).message).toBe('timeout');
+      expect(getErrorDetails(rejection({ status: 500 })).message).toBe('{"status":500}');
+      expect(getErrorDetails(rejection(undefined)).message).toBe('undefined');
+    });
+
+    test('should truncate long messages', () => {
+      expect(getErrorDetails(rejection('x'.repeat(1000))).message).toHaveLength(500);
+    });
+  });
+});
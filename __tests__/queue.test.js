@@ -0,0 +1,213 @@
+const PersistentQueue = require('../src/queue');
+
+// Minimal in-memory IndexedDB with the parts of the API the queue uses
+const createIndexedDBMock = () => {
+  const data = {};
+  const respond = (result) => {
+    const request = { result };
+    setTimeout(() => request.onsuccess && request.onsuccess());
+    return request;
+  };
+  const store = {
+    get: (key) => respond(data[key]),
+    getAll: () => respond(Object.keys(data).sort().map(key => data[key])),
+    put: (value, key) => {
+      data[key] = JSON.parse(JSON.stringify(value));
+      return respond(key);
+    },
+    delete: (key) => {
+      delete data[key];
+      return respond(undefined);
+    },
+  };
+  const db = {
+    createObjectStore: jest.fn(),
+    transaction: () => ({ objectStore: () => store }),
+  };
+  return {
+    data,
+    open: jest.fn(() => {
+      const request = { result: db };
+      setTimeout(() => {
+        request.onupgradeneeded();
+        request.onsuccess();
+      });
+      return request;
+    }),
+  };
+};
+
+describe('PersistentQueue', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    delete global.indexedDB;
+  });
+
+  const storedKeys = () => Object.keys(localStorage).filter(key => key.startsWith('tracker_queue')).sort();
+
+  test('should fall back to localStorage without IndexedDB', async () => {
+    const queue = new PersistentQueue();
+    await queue.ready;
+    const item = queue.add({ url: '/api/track', data: { events: [] } });
+    await queue.flush();
+
+    expect(storedKeys()).toEqual([`tracker_queue:${item.id}`]);
+    expect(JSON.parse(localStorage.getItem(`tracker_queue:${item.id}`))).toMatchObject({ url: '/api/track' });
+  });
+
+  test('should replay batches stored by a previous page load', async () => {
+    localStorage.setItem('tracker_queue:stored', JSON.stringify({ id: 'stored', url: '/api/track', data: {} }));
+
+    const queue = new PersistentQueue();
+    queue.add({ url: '/api/track', data: {} });
+    await queue.ready;
+
+    expect(queue.items.map(item => item.id)[0]).toBe('stored');
+    expect(queue.items).toHaveLength(2);
+  });
+
+  test('should remove the storage entry of a removed batch', async () => {
+    const queue = new PersistentQueue();
+    const item = queue.add({ url: '/api/track', data: {} });
+    queue.remove(item.id);
+    await queue.flush();
+
+    expect(storedKeys()).toEqual([]);
+  });
+
+  test('should purge stored batches of a url without being opened', async () => {
+    localStorage.setItem('tracker_queue:events', JSON.stringify({ id: 'events', url: '/api/track', data: {} }));
+    localStorage.setItem('tracker_queue:metrics', JSON.stringify({ id: 'metrics', url: '/api/metrics', data: {} }));
+    const queue = new PersistentQueue({ open: false });
+    await queue.purge('/api/track');
+
+    expect(storedKeys()).toEqual(['tracker_queue:metrics']);
+  });
+
+  test('should ignore unreadable stored queues', async () => {
+    localStorage.setItem('tracker_queue:broken', 'not json');
+    const queue = new PersistentQueue();
+    await queue.ready;
+    expect(queue.items).toEqual([]);
+  });
+
+  test('should drop the oldest batches when full by default', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const queue = new PersistentQueue({ maxSize: 2 });
+    await queue.ready;
+    ['a', 'b', 'c'].forEach(name => queue.add({ url: '/api/track', data: { name } }));
+
+    expect(queue.items.map(item => item.data.name)).toEqual(['b', 'c']);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('drop_oldest'));
+    await queue.flush();
+    expect(storedKeys()).toHaveLength(2);
+    warn.mockRestore();
+  });
+
+  test('should reject new batches when full with drop_newest', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const queue = new PersistentQueue({ maxSize: 2, dropPolicy: 'drop_newest' });
+    await queue.ready;
+    ['a', 'b', 'c'].forEach(name => queue.add({ url: '/api/track', data: { name } }));
+
+    expect(queue.items.map(item => item.data.name)).toEqual(['a', 'b']);
+    warn.mockRestore();
+  });
+
+  test('should keep batches in memory only when not persistent', async () => {
+    const queue = new PersistentQueue({ persistent: false });
+    queue.add({ url: '/api/track', data: {} });
+    await queue.flush();
+
+    expect(queue.items).toHaveLength(1);
+    expect(storedKeys()).toEqual([]);
+  });
+
+  test('should store batches in IndexedDB when available', async () => {
+    global.indexedDB = createIndexedDBMock();
+
+    const queue = new PersistentQueue();
+    const item = queue.add({ url: '/api/metrics', data: {} });
+    await queue.flush();
+
+    expect(Object.keys(global.indexedDB.data)).toEqual([item.id]);
+    expect(storedKeys()).toEqual([]);
+
+    const reloaded = new PersistentQueue();
+    await reloaded.ready;
+    expect(reloaded.items).toHaveLength(1);
+
+    reloaded.remove(item.id);
+    await reloaded.flush();
+    expect(global.indexedDB.data).toEqual({});
+  });
+
+  describe('shared by several tabs', () => {
+    test('should keep the batches of every tab', async () => {
+      const firstTab = new PersistentQueue();
+      const secondTab = new PersistentQueue();
+      await Promise.all([firstTab.ready, secondTab.ready]);
+
+      firstTab.add({ url: '/api/track', data: { name: 'first' } });
+      secondTab.add({ url: '/api/track', data: { name: 'second' } });
+      await Promise.all([firstTab.flush(), secondTab.flush()]);
+
+      const reloaded = new PersistentQueue();
+      await reloaded.ready;
+      expect(reloaded.items.map(item => item.data.name)).toEqual(['first', 'second']);
+    });
+
+    test('should not let two tabs send the same batch', async () => {
+      const firstTab = new PersistentQueue();
+      const item = firstTab.add({ url: '/api/track', data: {} });
+      await firstTab.flush();
+      const secondTab = new PersistentQueue();
+      await secondTab.ready;
+
+      expect(await firstTab.claim(item.id)).toBe(true);
+      expect(await secondTab.claim(item.id)).toBe(false);
+      // The batch stays queued in case the first tab fails to send it
+      expect(secondTab.items).toHaveLength(1);
+    });
+
+    test('should drop batches another tab delivered', async () => {
+      const firstTab = new PersistentQueue();
+      const item = firstTab.add({ url: '/api/track', data: {} });
+      await firstTab.flush();
+      const secondTab = new PersistentQueue();
+      await secondTab.ready;
+
+      firstTab.remove(item.id);
+      expect(await secondTab.claim(item.id)).toBe(false);
+      expect(secondTab.items).toEqual([]);
+    });
+
+    test('should take over batches whose claim lapsed', async () => {
+      const firstTab = new PersistentQueue();
+      const item = firstTab.add({ url: '/api/track', data: {} });
+      await firstTab.claim(item.id);
+      const secondTab = new PersistentQueue();
+      await secondTab.ready;
+
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() + firstTab.claimDuration + 1);
+      expect(await secondTab.claim(item.id)).toBe(true);
+      expect(await firstTab.claim(item.id)).toBe(false);
+      Date.now.mockRestore();
+    });
+
+    test('should claim batches in IndexedDB', async () => {
+      global.indexedDB = createIndexedDBMock();
+      const firstTab = new PersistentQueue();
+      const item = firstTab.add({ url: '/api/track', data: {} });
+      const secondTab = new PersistentQueue();
+      await firstTab.flush();
+      await secondTab.ready;
+
+      expect(await firstTab.claim(item.id)).toBe(true);
+      expect(await secondTab.claim(item.id)).toBe(false);
+    });
+  });
+});
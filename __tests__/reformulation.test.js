@@ -0,0 +1,21 @@
+const { classifyReformulation } = require('../src/reformulation');
+
+describe('classifyReformulation', () => {
+  test('should classify added or completed terms as refine', () => {
+    expect(classifyReformulation('shoes', 'running shoes')).toBe('refine');
+    expect(classifyReformulation('run', 'running shoes')).toBe('refine');
+  });
+
+  test('should classify removed terms as broaden', () => {
+    expect(classifyReformulation('red running shoes', 'running shoes')).toBe('broaden');
+  });
+
+  test('should classify other changes as replace', () => {
+    expect(classifyReformulation('shoes', 'boots')).toBe('replace');
+    expect(classifyReformulation('runnign shoes', 'running shoes')).toBe('replace');
+  });
+
+  test('should ignore case and whitespace', () => {
+    expect(classifyReformulation('Running  Shoes ', 'running shoes')).toBe('repeat');
+  });
+});
@@ -0,0 +1,73 @@
+const schema = require('../src/schema');
+
+describe('Payload Schema', () => {
+  const timestamp = '2024-01-01T12:00:00.000Z';
+
+  test('should be exported from the tracker module', () => {
+    const SearchBehaviorAnalysisCollector = require('../src/tracker');
+    expect(SearchBehaviorAnalysisCollector.schema).toBe(schema);
+    expect(schema.SCHEMA_VERSION).toMatch(/^\d+\.\d+\.\d+$/);
+  });
+
+  test('should accept a valid event payload', () => {
+    const result = schema.validateEventPayload({
+      schemaVersion: schema.SCHEMA_VERSION,
+      events: [
+        { type: 'click', itemId: '123', position: 3, searchRequestId: 'search-1', timestamp, sessionId: 'uuid' },
+        { type: 'custom_event', name: 'view_item', data: { price: 9.99 }, timestamp, sessionId: 'uuid' },
+      ],
+      sessionId: 'uuid',
+      colorIdentifier: '#FF5733-#33FF57',
+      browserInfo: { browser: 'Chrome', connection: null, memory: null },
+      utmParams: { utm_source: 'google' },
+      timestamp,
+    });
+    expect(result).toEqual({ valid: true, errors: [] });
+  });
+
+  test('should require the fields of each event type', () => {
+    const result = schema.validateEvent({ type: 'click', timestamp });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(['$.itemId: is required', '$.position: is required']);
+  });
+
+  test('should report wrong types, unknown fields and unknown event types', () => {
+    expect(schema.validateEvent({ type: 'click', itemId: '1', position: '3', timestamp }).errors)
+      .toEqual(['$.position: must be integer']);
+    expect(schema.validateEvent({ type: 'custom_event', name: 'x', data: {}, extra: true, timestamp }).errors)
+      .toEqual(['$.extra: is not allowed']);
+    expect(schema.validateEvent({ type: 'unknown', timestamp }).errors)
+      .toEqual([expect.stringContaining('$.type: must be one of')]);
+  });
+
+  test('should validate timestamps and nested payload items', () => {
+    const result = schema.validateMetricsPayload({
+      schemaVersion: schema.SCHEMA_VERSION,
+      performanceMetrics: [{ type: 'LCP', value: 'slow', timestamp: 'yesterday' }],
+      timestamp,
+    });
+    expect(result.errors).toEqual([
+      '$.performanceMetrics[0].value: must be number',
+      '$.performanceMetrics[0].timestamp: must be a date-time',
+    ]);
+  });
+
+  test('should accept FID metrics of older clients', () => {
+    const result = schema.validateMetricsPayload({
+      schemaVersion: schema.SCHEMA_VERSION,
+      performanceMetrics: [{ type: 'FID', value: 12, timestamp }],
+      timestamp,
+    });
+    expect(result.errors).toEqual([]);
+  });
+
+  test('should reject payloads of another schema version', () => {
+    const result = schema.validateMetricsPayload({ schemaVersion: '0.0.0', performanceMetrics: [], timestamp });
+    expect(result.errors).toEqual([`$.schemaVersion: must be "${schema.SCHEMA_VERSION}"`]);
+  });
+
+  test('should treat undefined properties as absent', () => {
+    const result = schema.validateEvent({ type: 'search', searchRequestId: 's', query: undefined, timestamp });
+    expect(result.valid).toBe(true);
+  });
+});
@@ -0,0 +1,63 @@
+const ScrollDepth = require('../src/scroll');
+
+describe('ScrollDepth', () => {
+  const scrollTo = (scrollY) => {
+    window.scrollY = scrollY;
+  };
+
+  beforeEach(() => {
+    Object.defineProperty(document.documentElement, 'scrollHeight', { value: 4000, configurable: true });
+    window.innerHeight = 1000;
+    scrollTo(0);
+  });
+
+  afterEach(() => {
+    delete document.documentElement.scrollHeight;
+  });
+
+  test('should keep the deepest scroll percentage', () => {
+    const depth = new ScrollDepth();
+    expect(depth.maxScrollPercent).toBe(25);
+
+    scrollTo(2000);
+    depth.recordScroll();
+    scrollTo(500);
+    depth.recordScroll();
+
+    expect(depth.maxScrollPercent).toBe(75);
+  });
+
+  test('should count pages that fit in the viewport as fully seen', () => {
+    Object.defineProperty(document.documentElement, 'scrollHeight', { value: 800, configurable: true });
+    expect(new ScrollDepth().maxScrollPercent).toBe(100);
+  });
+
+  test('should report every search request once', () => {
+    const depth = new ScrollDepth();
+    depth.recordVisible('search-1', 3);
+    depth.recordVisible('search-1', 8);
+    depth.recordVisible('search-1', 5);
+    depth.recordVisible('search-2', 2);
+
+    expect(depth.flush()).toEqual([
+      { searchRequestId: 'search-1', maxScrollPercent: 25, maxVisiblePosition: 8 },
+      { searchRequestId: 'search-2', maxScrollPercent: 25, maxVisiblePosition: 2 },
+    ]);
+
+    // Coming back to the same results on a later page
+    depth.reset();
+    depth.recordVisible('search-1', 12);
+    depth.recordVisible('search-3', 1);
+    expect(depth.flush()).toEqual([
+      { searchRequestId: 'search-3', maxScrollPercent: 25, maxVisiblePosition: 1 },
+    ]);
+  });
+
+  test('should attribute a page without visible results to its search request', () => {
+    const depth = new ScrollDepth();
+    expect(depth.flush('search-1')).toEqual([
+      { searchRequestId: 'search-1', maxScrollPercent: 25, maxVisiblePosition: undefined },
+    ]);
+    expect(new ScrollDepth().flush()).toEqual([]);
+  });
+});
@@ -0,0 +1,164 @@
+const SearchBehaviorAnalysisCollector = require('../src/tracker');
+
+describe('Search Abandonment', () => {
+  let collector;
+
+  // Events may have been sent already when timers advance
+  const abandonments = () => [
+    ...fetch.mock.calls.flatMap(([, options]) => JSON.parse(options.body).events || []),
+    ...collector.events,
+  ].filter(event => event.type === 'abandonment');
+
+  const renderResults = (searchRequestId, itemCount) => {
+    const items = Array.from({ length: itemCount }, (_, index) => (
+      `<li class="trackable-item" data-item-id="item${index + 1}">Item ${index + 1}</li>`
+    )).join('');
+    document.body.innerHTML = `<ul data-search-request-id="${searchRequestId}">${items}</ul>`;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    sessionStorage.clear();
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    history.replaceState({}, '', '/search');
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      scrollTrackingEnabled: false,
+      dwellTrackingEnabled: false,
+      batchSize: 100,
+    });
+  });
+
+  afterEach(() => {
+    collector.destroy();
+    document.body.innerHTML = '';
+    history.replaceState({}, '', '/');
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should report a search left without a click', () => {
+    renderResults('search-1', 3);
+    collector.trackSearch({ searchRequestId: 'search-1', query: 'shoes', totalResults: 3 });
+    jest.advanceTimersByTime(4000);
+    history.pushState({}, '', '/about');
+
+    expect(abandonments()).toEqual([expect.objectContaining({
+      searchRequestId: 'search-1',
+      query: 'shoes',
+      reason: 'navigation',
+      timeSpent: 4000,
+      zeroResults: false,
+      sessionId: collector.sessionId,
+    })]);
+  });
+
+  test('should not report a search that led to a click', () => {
+    renderResults('search-1', 3);
+    collector.trackSearch({ searchRequestId: 'search-1', query: 'shoes' });
+    document.querySelector('.trackable-item').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    history.pushState({}, '', '/product/item1');
+
+    expect(abandonments()).toHaveLength(0);
+  });
+
+  test('should report the previous search when a new one replaces it', () => {
+    collector.trackSearch({ searchRequestId: 'search-1', query: 'shoes' });
+    collector.trackSearch({ searchRequestId: 'search-2', query: 'boots' });
+
+    expect(abandonments()).toEqual([
+      expect.objectContaining({ searchRequestId: 'search-1', query: 'shoes', reason: 'new_search' }),
+    ]);
+    const types = collector.events.map(event => event.type);
+    expect(types.indexOf('abandonment')).toBeLessThan(types.lastIndexOf('search'));
+  });
+
+  test('should report a search left by unloading the page', () => {
+    collector.trackSearch({ searchRequestId: 'search-1', query: 'shoes' });
+    const sendEvents = jest.spyOn(collector, 'sendEvents').mockResolvedValue();
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(abandonments()).toEqual([expect.objectContaining({ reason: 'unload' })]);
+    expect(sendEvents).toHaveBeenCalledWith(true);
+  });
+
+  test('should report a search left until the session timed out', () => {
+    collector.trackSearch({ searchRequestId: 'search-1', query: 'shoes' });
+    jest.advanceTimersByTime(31 * 60 * 1000);
+
+    expect(abandonments()).toEqual([expect.objectContaining({ reason: 'session_timeout' })]);
+  });
+
+  test('should watch searches injected from the backend', () => {
+    collector.destroy();
+    renderResults('search-1', 0);
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      searchRequestId: 'search-1',
+      batchSize: 100,
+    });
+    history.pushState({}, '', '/about');
+
+    expect(abandonments()).toEqual([expect.objectContaining({
+      searchRequestId: 'search-1',
+      zeroResults: true,
+    })]);
+    expect(abandonments()[0].query).toBeUndefined();
+  });
+
+  test('should flag searches that reported zero results', () => {
+    collector.trackSearch({ searchRequestId: 'search-1', query: 'xyz', totalResults: 0 });
+    collector.trackSearch({ searchRequestId: 'search-2', query: 'xy' });
+
+    expect(abandonments()[0]).toMatchObject({ searchRequestId: 'search-1', zeroResults: true });
+  });
+
+  test('should remember zero results after the container was re-rendered for the next search', async () => {
+    renderResults('search-1', 0);
+    await Promise.resolve(); // Let the observer see the rendered results
+    collector.updateSearchRequestId('search-1');
+
+    renderResults('search-2', 3);
+    await Promise.resolve();
+    collector.updateSearchRequestId('search-2');
+
+    expect(abandonments()).toEqual([
+      expect.objectContaining({ searchRequestId: 'search-1', reason: 'new_search', zeroResults: true }),
+    ]);
+  });
+
+  test('should watch searches only rendered with a search request id attribute', async () => {
+    renderResults('search-1', 3);
+    await Promise.resolve();
+    renderResults('search-2', 0);
+    await Promise.resolve();
+    history.pushState({}, '', '/about');
+
+    expect(abandonments()).toEqual([
+      expect.objectContaining({ searchRequestId: 'search-1', reason: 'new_search', zeroResults: false }),
+      expect.objectContaining({ searchRequestId: 'search-2', reason: 'navigation', zeroResults: true }),
+    ]);
+  });
+
+  test('should add the query of a search tracked after its results rendered', async () => {
+    renderResults('search-1', 3);
+    await Promise.resolve();
+    collector.trackSearch({ searchRequestId: 'search-1', query: 'shoes', totalResults: 3 });
+    history.pushState({}, '', '/about');
+
+    expect(abandonments()).toEqual([expect.objectContaining({ searchRequestId: 'search-1', query: 'shoes' })]);
+  });
+
+  test('should not track abandonment when disabled', () => {
+    collector.destroy();
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      abandonmentTrackingEnabled: false,
+    });
+    collector.trackSearch({ searchRequestId: 'search-1', query: 'shoes' });
+    history.pushState({}, '', '/about');
+
+    expect(abandonments()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,66 @@
+const SearchBehaviorAnalysisCollector = require('../src/tracker');
+
+describe('Secondary Actions', () => {
+  let collector;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    sessionStorage.clear();
+    // An ongoing session, a new one would queue a session_start event first
+    localStorage.setItem('tracker_session_id', 'session-1');
+    localStorage.setItem('tracker_session_timestamp', new Date().toISOString());
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false, batchSize: 100 });
+    document.body.innerHTML = `
+      <ul data-search-request-id="search-1">
+        <li class="trackable-item" data-item-id="item1">Item 1</li>
+        <li class="trackable-item" data-item-id="item2">
+          <button data-track-action="add_to_cart" data-track-quantity="2" data-track-variant-id="item2-blue">
+            <span class="label">Add to cart</span>
+          </button>
+        </li>
+      </ul>
+      <button data-track-action="newsletter">Subscribe</button>
+    `;
+  });
+
+  afterEach(() => {
+    collector.destroy();
+    document.body.innerHTML = '';
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should emit an action tied to the enclosing item', () => {
+    document.querySelector('.label').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+    expect(collector.events).toHaveLength(1);
+    expect(collector.events[0]).toMatchObject({
+      type: 'action',
+      action: 'add_to_cart',
+      itemId: 'item2',
+      position: 2,
+      searchRequestId: 'search-1',
+      data: { quantity: '2', variantId: 'item2-blue' },
+      sessionId: collector.sessionId,
+    });
+  });
+
+  test('should not count an action as a result click', () => {
+    document.querySelector('[data-track-action]').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+    expect(collector.events.filter(event => event.type === 'click')).toHaveLength(0);
+    expect(collector._pendingDwell).toBeFalsy();
+  });
+
+  test('should ignore actions outside of items', () => {
+    document.querySelector('[data-track-action="newsletter"]').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    expect(collector.events).toHaveLength(0);
+  });
+
+  test('should still track clicks on the rest of the item', () => {
+    document.querySelector('[data-item-id="item2"]').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    expect(collector.events[0]).toMatchObject({ type: 'click', itemId: 'item2' });
+  });
+});
@@ -0,0 +1,105 @@
+const SearchBehaviorAnalysisCollector = require('../src/tracker');
+
+describe('Activation Types', () => {
+  let collector;
+
+  const lastEvent = () => collector.events[collector.events.length - 1];
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    sessionStorage.clear();
+    // An ongoing session, a new one would queue a session_start event first
+    localStorage.setItem('tracker_session_id', 'session-1');
+    localStorage.setItem('tracker_session_timestamp', new Date().toISOString());
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false, batchSize: 100 });
+    document.body.innerHTML = `
+      <a href="#item1" class="trackable-item" data-item-id="item1">Item 1</a>
+      <a href="#item2" target="_blank" class="trackable-item" data-item-id="item2">Item 2</a>
+    `;
+  });
+
+  afterEach(() => {
+    collector.destroy();
+    document.body.innerHTML = '';
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should record primary clicks in the same tab', () => {
+    document.querySelector('[data-item-id="item1"]').dispatchEvent(new MouseEvent('click', { bubbles: true, detail: 1 }));
+
+    expect(lastEvent()).toMatchObject({ type: 'click', itemId: 'item1', activationType: 'primary', sameTab: true });
+    expect(collector._pendingDwell).toMatchObject({ itemId: 'item1' });
+  });
+
+  test('should record links opening a new tab', () => {
+    document.querySelector('[data-item-id="item2"]').dispatchEvent(new MouseEvent('click', { bubbles: true, detail: 1 }));
+
+    expect(lastEvent()).toMatchObject({ activationType: 'primary', sameTab: false });
+    // The new tab is in the foreground, dwell is measured through the page visibility
+    expect(collector._pendingDwell).toMatchObject({ itemId: 'item2' });
+  });
+
+  test('should record modifier clicks', () => {
+    document.querySelector('[data-item-id="item1"]').dispatchEvent(
+      new MouseEvent('click', { bubbles: true, detail: 1, metaKey: true })
+    );
+
+    expect(lastEvent()).toMatchObject({ activationType: 'modifier', sameTab: false });
+    expect(collector._pendingDwell).toBeFalsy();
+  });
+
+  test('should record middle clicks', () => {
+    const item = document.querySelector('[data-item-id="item1"]');
+    item.dispatchEvent(new MouseEvent('auxclick', { bubbles: true, button: 1 }));
+    item.dispatchEvent(new MouseEvent('auxclick', { bubbles: true, button: 2 }));
+
+    expect(collector.events).toHaveLength(1);
+    expect(lastEvent()).toMatchObject({ activationType: 'middle', sameTab: false });
+    expect(collector._pendingDwell).toBeFalsy();
+  });
+
+  test('should record context menu activations', () => {
+    document.querySelector('[data-item-id="item1"]').dispatchEvent(new MouseEvent('contextmenu', { bubbles: true }));
+    expect(lastEvent()).toMatchObject({ activationType: 'contextmenu', sameTab: false });
+  });
+
+  test('should record keyboard activations', () => {
+    const item = document.querySelector('[data-item-id="item1"]');
+    item.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true, key: 'Enter' }));
+    item.dispatchEvent(new MouseEvent('click', { bubbles: true, detail: 0 }));
+
+    expect(lastEvent()).toMatchObject({ activationType: 'keyboard', sameTab: true });
+    expect(collector._pendingDwell).toMatchObject({ itemId: 'item1' });
+  });
+
+  test('should record keyboard activations with a modifier as another tab', () => {
+    const item = document.querySelector('[data-item-id="item1"]');
+    item.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true, key: 'Enter', ctrlKey: true }));
+    item.dispatchEvent(new MouseEvent('click', { bubbles: true, detail: 0, ctrlKey: true }));
+
+    expect(lastEvent()).toMatchObject({ activationType: 'keyboard', sameTab: false });
+    expect(collector._pendingDwell).toBeFalsy();
+  });
+
+  test('should not treat a later synthetic click as keyboard activation', () => {
+    const item = document.querySelector('[data-item-id="item1"]');
+    item.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true, key: 'Enter' }));
+    jest.advanceTimersByTime(5000);
+    item.dispatchEvent(new MouseEvent('click', { bubbles: true, detail: 0 }));
+
+    expect(lastEvent()).toMatchObject({ activationType: 'primary' });
+  });
+
+  test('should ignore middle clicks on secondary actions', () => {
+    document.body.innerHTML = `
+      <div class="trackable-item" data-item-id="item1">
+        <button data-track-action="add_to_cart">Add to cart</button>
+      </div>
+    `;
+    document.querySelector('button').dispatchEvent(new MouseEvent('auxclick', { bubbles: true, button: 1 }));
+    expect(collector.events).toHaveLength(0);
+  });
+});
@@ -0,0 +1,168 @@
+const zlib = require('zlib');
+const { Blob: NodeBlob } = require('buffer');
+const { CompressionStream: NodeCompressionStream } = require('stream/web');
+const SearchBehaviorAnalysisCollector = require('../src/tracker');
+
+describe('Payload Size', () => {
+  let collector;
+  const originalBlob = global.Blob;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    sessionStorage.clear();
+    // An ongoing session, a new one would queue a session_start event first
+    localStorage.setItem('tracker_session_id', 'session-1');
+    localStorage.setItem('tracker_session_timestamp', new Date().toISOString());
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+  });
+
+  afterEach(() => {
+    collector.destroy();
+    delete global.CompressionStream;
+    delete global.Response;
+    global.Blob = originalBlob;
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  describe('compression', () => {
+    const enableCompressionStream = () => {
+      // jsdom lacks the streams API, borrow the Node implementations
+      global.Blob = NodeBlob;
+      global.CompressionStream = NodeCompressionStream;
+      global.Response = class {
+        constructor(stream) {
+          this.stream = stream;
+        }
+
+        async blob() {
+          const chunks = [];
+          for await (const chunk of this.stream) {
+            chunks.push(chunk);
+          }
+          return new NodeBlob(chunks);
+        }
+      };
+    };
+
+    test('should gzip fetch requests when enabled', async () => {
+      jest.useRealTimers();
+      enableCompressionStream();
+      collector = new SearchBehaviorAnalysisCollector({
+        performanceMetricsEnabled: false,
+        pageViewTrackingEnabled: false,
+        compressionEnabled: true,
+      });
+      collector.trackEvent('test_event');
+      await collector.sendEvents();
+
+      const [, options] = fetch.mock.calls[0];
+      expect(options.headers['Content-Encoding']).toBe('gzip');
+      const body = zlib.gunzipSync(Buffer.from(await options.body.arrayBuffer())).toString();
+      expect(JSON.parse(body).events[0].name).toBe('test_event');
+    });
+
+    test('should send plain JSON without CompressionStream', async () => {
+      collector = new SearchBehaviorAnalysisCollector({
+        performanceMetricsEnabled: false,
+        pageViewTrackingEnabled: false,
+        compressionEnabled: true,
+      });
+      collector.trackEvent('test_event');
+      await collector.sendEvents();
+
+      const [, options] = fetch.mock.calls[0];
+      expect(options.headers['Content-Encoding']).toBeUndefined();
+      expect(JSON.parse(options.body).events[0].name).toBe('test_event');
+    });
+
+    test('should not compress by default', async () => {
+      enableCompressionStream();
+      collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false });
+      collector.trackEvent('test_event');
+      await collector.sendEvents();
+
+      expect(typeof fetch.mock.calls[0][1].body).toBe('string');
+    });
+  });
+
+  describe('browser info once per session', () => {
+    const sentPayloads = () => fetch.mock.calls.map(call => JSON.parse(call[1].body));
+
+    test('should send the full browser info with every batch by default', async () => {
+      collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false });
+      collector.trackEvent('first');
+      await collector.sendEvents();
+      collector.trackEvent('second');
+      await collector.sendEvents();
+
+      sentPayloads().forEach(payload => {
+        expect(payload.browserInfo.userAgent).toBeDefined();
+        expect(payload.browserInfoId).toBeUndefined();
+      });
+    });
+
+    test('should reference the browser info after it was delivered', async () => {
+      collector = new SearchBehaviorAnalysisCollector({
+        performanceMetricsEnabled: false,
+        pageViewTrackingEnabled: false,
+        browserInfoOncePerSession: true,
+      });
+      collector.trackEvent('first');
+      await collector.sendEvents();
+      collector.trackEvent('second');
+      await collector.sendEvents();
+
+      const [first, second] = sentPayloads();
+      expect(first.browserInfo.userAgent).toBeDefined();
+      expect(second.browserInfoId).toBe(first.browserInfoId);
+      expect(second.browserInfo).toEqual({
+        timestamp: first.browserInfo.timestamp,
+        path: first.browserInfo.path,
+      });
+    });
+
+    test('should keep sending the full browser info until a batch is delivered', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      fetch.mockResolvedValueOnce({ ok: false, status: 500 });
+      collector = new SearchBehaviorAnalysisCollector({
+        performanceMetricsEnabled: false,
+        pageViewTrackingEnabled: false,
+        browserInfoOncePerSession: true,
+      });
+      collector.trackEvent('first');
+      await collector.sendEvents();
+
+      expect(localStorage.getItem('tracker_browser_info')).toBeNull();
+      expect(collector.getBrowserInfoFields().browserInfo.userAgent).toBeDefined();
+    });
+
+    test('should send the full browser info again for a new session', async () => {
+      collector = new SearchBehaviorAnalysisCollector({
+        performanceMetricsEnabled: false,
+        pageViewTrackingEnabled: false,
+        browserInfoOncePerSession: true,
+      });
+      collector.trackEvent('first');
+      await collector.sendEvents();
+      collector.resetSession();
+
+      expect(collector.getBrowserInfoFields().browserInfo.userAgent).toBeDefined();
+    });
+
+    test('should forget the delivered browser info on opt-out', async () => {
+      collector = new SearchBehaviorAnalysisCollector({
+        performanceMetricsEnabled: false,
+        pageViewTrackingEnabled: false,
+        browserInfoOncePerSession: true,
+      });
+      collector.trackEvent('first');
+      await collector.sendEvents();
+      expect(localStorage.getItem('tracker_browser_info')).not.toBeNull();
+
+      collector.optOut();
+      expect(localStorage.getItem('tracker_browser_info')).toBeNull();
+    });
+  });
+});
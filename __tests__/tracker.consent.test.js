@@ -0,0 +1,197 @@
+const SearchBehaviorAnalysisCollector = require('../src/tracker');
+
+describe('Consent Management', () => {
+  let collector;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    sessionStorage.clear();
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    jest.spyOn(Storage.prototype, 'setItem');
+  });
+
+  afterEach(() => {
+    collector.destroy();
+    delete global.indexedDB;
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should grant all purposes by default', () => {
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false });
+    expect(collector.consent).toEqual({ analytics: true, performance: true });
+    expect(collector.sessionId).toEqual(expect.any(String));
+  });
+
+  test('should not write to storage or send while consent is pending', () => {
+    collector = new SearchBehaviorAnalysisCollector({
+      requireConsent: true,
+      performanceMetricsEnabled: false,
+      pageViewTrackingEnabled: false,
+      batchSize: 1,
+    });
+    collector.trackEvent('test_event');
+    collector.trackPerformanceMetric({ type: 'LCP', value: 1000 });
+    jest.advanceTimersByTime(60000);
+
+    expect(collector.consent).toBeNull();
+    expect(collector.sessionId).toBeNull();
+    expect(collector.colorIdentifier).toBeNull();
+    expect(Storage.prototype.setItem).not.toHaveBeenCalled();
+    expect(fetch).not.toHaveBeenCalled();
+    expect(collector.events).toHaveLength(0);
+  });
+
+  test('should not open the retry queue database while consent is pending', async () => {
+    // Opening creates the database and its object store
+    global.indexedDB = { open: jest.fn(() => ({})) };
+    collector = new SearchBehaviorAnalysisCollector({
+      requireConsent: true,
+      performanceMetricsEnabled: false,
+      pageViewTrackingEnabled: false,
+    });
+    jest.advanceTimersByTime(60000);
+    await Promise.resolve();
+    expect(indexedDB.open).not.toHaveBeenCalled();
+
+    collector.setConsent({ performance: true });
+    await Promise.resolve();
+    expect(indexedDB.open).toHaveBeenCalledTimes(1);
+  });
+
+  test('should flush buffered events once consent is granted', () => {
+    collector = new SearchBehaviorAnalysisCollector({
+      requireConsent: true,
+      performanceMetricsEnabled: false,
+      pageViewTrackingEnabled: false,
+    });
+    collector.trackEvent('test_event');
+    collector.trackPerformanceMetric({ type: 'LCP', value: 1000 });
+
+    collector.setConsent({ analytics: true, performance: true });
+
+    expect(collector.sessionId).toEqual(expect.any(String));
+    expect(localStorage.getItem('tracker_session_id')).toBe(collector.sessionId);
+    const sentEvents = JSON.parse(fetch.mock.calls[0][1].body).events;
+    expect(sentEvents[0]).toMatchObject({ name: 'test_event', sessionId: collector.sessionId });
+    expect(fetch).toHaveBeenCalledWith('/api/metrics', expect.any(Object));
+  });
+
+  test('should only flush the purposes that were granted', () => {
+    collector = new SearchBehaviorAnalysisCollector({
+      requireConsent: true,
+      performanceMetricsEnabled: false,
+      pageViewTrackingEnabled: false,
+    });
+    collector.trackEvent('test_event');
+    collector.trackPerformanceMetric({ type: 'LCP', value: 1000 });
+
+    collector.setConsent({ performance: true });
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledWith('/api/metrics', expect.any(Object));
+    expect(collector.sessionId).toBeNull();
+  });
+
+  test('should limit the consent buffer', () => {
+    collector = new SearchBehaviorAnalysisCollector({
+      requireConsent: true,
+      performanceMetricsEnabled: false,
+      pageViewTrackingEnabled: false,
+      consentBufferSize: 2,
+    });
+    ['a', 'b', 'c'].forEach(name => collector.trackEvent(name));
+
+    expect(collector._consentBuffer.events.map(event => event.name)).toEqual(['b', 'c']);
+  });
+
+  test('should drop events after an opt-out', () => {
+    collector = new SearchBehaviorAnalysisCollector({
+      requireConsent: true,
+      performanceMetricsEnabled: false,
+      pageViewTrackingEnabled: false,
+    });
+    collector.optOut();
+    collector.trackEvent('test_event');
+
+    expect(collector.events).toHaveLength(0);
+    expect(collector._consentBuffer.events).toHaveLength(0);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('should purge identifiers and queued events on withdrawal', () => {
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false });
+    collector.trackEvent('test_event');
+    collector.retryQueue.add({ url: '/api/track', data: {} });
+
+    collector.optOut();
+
+    expect(collector.sessionId).toBeNull();
+    expect(localStorage.getItem('tracker_session_id')).toBeNull();
+    expect(localStorage.getItem('tracker_session_timestamp')).toBeNull();
+    expect(localStorage.getItem('colorschema_identifier')).toBeNull();
+    expect(collector.events).toHaveLength(0);
+    expect(collector.retryQueue.items).toHaveLength(0);
+  });
+
+  test('should purge what earlier page loads stored when refusing while pending', async () => {
+    const config = { requireConsent: true, performanceMetricsEnabled: false, pageViewTrackingEnabled: false };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    fetch.mockRejectedValue(new Error('Network error'));
+    collector = new SearchBehaviorAnalysisCollector(config);
+    collector.optIn();
+    collector.trackEvent('test_event');
+    collector.trackPerformanceMetric({ type: 'LCP', value: 1000 });
+    await collector.sendEvents();
+    await collector.sendPerformanceMetrics();
+    await collector.retryQueue.flush();
+    collector.destroy();
+    const queueKeys = () => Object.keys(localStorage).filter(key => key.startsWith('tracker_queue:'));
+    expect(queueKeys().length).toBeGreaterThan(0);
+
+    // The next page load starts pending again
+    collector = new SearchBehaviorAnalysisCollector(config);
+    collector.optOut();
+    await collector.retryQueue.ready;
+    await collector.retryQueue.flush();
+
+    expect(queueKeys()).toHaveLength(0);
+    ['tracker_session_id', 'tracker_session_timestamp', 'tracker_session_start', 'colorschema_identifier'].forEach(key => {
+      expect(localStorage.getItem(key)).toBeNull();
+    });
+  });
+
+  test('should hold stored batches until consent is granted', async () => {
+    localStorage.setItem('tracker_queue:stored', JSON.stringify({ id: 'stored', url: '/api/track', data: {} }));
+    collector = new SearchBehaviorAnalysisCollector({
+      requireConsent: true,
+      performanceMetricsEnabled: false,
+      pageViewTrackingEnabled: false,
+    });
+    await Promise.resolve();
+
+    expect(collector.retryQueue.items).toHaveLength(0);
+    expect(collector._retryTimer).toBeUndefined();
+    jest.advanceTimersByTime(1000);
+    expect(fetch).not.toHaveBeenCalled();
+
+    collector.optIn();
+    jest.advanceTimersByTime(0);
+    // The batch is claimed in storage before it is sent
+    for (let i = 0; i < 50; i++) {
+      await Promise.resolve();
+    }
+    expect(fetch).toHaveBeenCalledWith('/api/track', expect.any(Object));
+  });
+
+  test('should start a new session after opting in again', () => {
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false });
+    const firstSessionId = collector.sessionId;
+    collector.optOut();
+    collector.optIn();
+
+    expect(collector.sessionId).toEqual(expect.any(String));
+    expect(collector.sessionId).not.toBe(firstSessionId);
+  });
+});
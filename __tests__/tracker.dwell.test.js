@@ -0,0 +1,122 @@
+const SearchBehaviorAnalysisCollector = require('../src/tracker');
+
+describe('Dwell Time Tracking', () => {
+  let collector;
+  let visibilityState;
+
+  const setVisibility = (state) => {
+    visibilityState = state;
+    document.dispatchEvent(new Event('visibilitychange'));
+  };
+
+  const clickItem = () => {
+    document.querySelector('.trackable-item').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+  };
+
+  const dwellEvents = () => collector.events.filter(e => e.type === 'dwell');
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    sessionStorage.clear();
+    window.history.replaceState({}, '', '/search');
+
+    visibilityState = 'visible';
+    Object.defineProperty(document, 'visibilityState', {
+      get: () => visibilityState,
+      configurable: true,
+    });
+
+    document.body.innerHTML = `
+      <div class="trackable-item" data-item-id="item1" data-search-request-id="search-1">Item 1</div>
+    `;
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      batchSize: 100,
+      sendInterval: 10 * 60 * 1000,
+    });
+  });
+
+  afterEach(() => {
+    collector.destroy();
+    window.history.replaceState({}, '', '/');
+    jest.useRealTimers();
+  });
+
+  test('should classify a quick return to the results as a pogo-stick', () => {
+    clickItem();
+    window.history.pushState({}, '', '/product/item1');
+    jest.advanceTimersByTime(4000);
+    window.history.replaceState({}, '', '/search');
+
+    expect(dwellEvents()).toHaveLength(1);
+    expect(dwellEvents()[0]).toMatchObject({
+      itemId: 'item1',
+      position: 1,
+      searchRequestId: 'search-1',
+      dwellTime: 4000,
+      outcome: 'pogo_stick',
+      returnType: 'navigation',
+    });
+  });
+
+  test('should classify dwell times by the configured thresholds', () => {
+    clickItem();
+    window.history.pushState({}, '', '/product/item1');
+    jest.advanceTimersByTime(15000);
+    window.history.pushState({}, '', '/search');
+
+    clickItem();
+    window.history.pushState({}, '', '/product/item1');
+    jest.advanceTimersByTime(45000);
+    window.history.pushState({}, '', '/search');
+
+    expect(dwellEvents().map(e => e.outcome)).toEqual(['short_click', 'long_click']);
+  });
+
+  test('should not emit a dwell event while the user stays away from the results', () => {
+    clickItem();
+    window.history.pushState({}, '', '/product/item1');
+    jest.advanceTimersByTime(5000);
+    window.history.pushState({}, '', '/cart');
+
+    expect(dwellEvents()).toHaveLength(0);
+  });
+
+  test('should measure dwell for results opened in another tab', () => {
+    clickItem();
+    setVisibility('hidden');
+    jest.advanceTimersByTime(60000);
+    setVisibility('visible');
+
+    expect(dwellEvents()).toHaveLength(1);
+    expect(dwellEvents()[0]).toMatchObject({
+      dwellTime: 60000,
+      outcome: 'long_click',
+      returnType: 'tab',
+    });
+  });
+
+  test('should pick up a pending dwell after a full page navigation back to the results', () => {
+    clickItem();
+    collector.destroy();
+    jest.advanceTimersByTime(8000);
+
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false });
+
+    expect(dwellEvents()).toHaveLength(1);
+    expect(dwellEvents()[0]).toMatchObject({ itemId: 'item1', dwellTime: 8000, outcome: 'pogo_stick' });
+    expect(sessionStorage.getItem('tracker_pending_dwell')).toBeNull();
+  });
+
+  test('should not track dwell time when disabled', () => {
+    collector.destroy();
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      dwellTrackingEnabled: false,
+    });
+    clickItem();
+
+    expect(sessionStorage.getItem('tracker_pending_dwell')).toBeNull();
+  });
+});
@@ -0,0 +1,143 @@
+const SearchBehaviorAnalysisCollector = require('../src/tracker');
+
+describe('Error Tracking', () => {
+  let collector;
+
+  const createCollector = (config = {}) => {
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      pageViewTrackingEnabled: false,
+      errorTrackingEnabled: true,
+      batchSize: 100,
+      ...config,
+    });
+    return collector;
+  };
+
+  const throwError = (message, lineno = 10) => {
+    window.dispatchEvent(new ErrorEvent('error', { message, filename: 'https://example.com/app.js', lineno, colno: 5 }));
+  };
+
+  const errors = () => collector.events.filter(event => event.type === 'js_error');
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    sessionStorage.clear();
+    // An ongoing session, a new one would queue a session_start event first
+    localStorage.setItem('tracker_session_id', 'session-1');
+    localStorage.setItem('tracker_session_timestamp', new Date().toISOString());
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    history.replaceState({}, '', '/search');
+  });
+
+  afterEach(() => {
+    collector.destroy();
+    history.replaceState({}, '', '/');
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should be opt-in', () => {
+    createCollector({ errorTrackingEnabled: false });
+    throwError('Uncaught TypeError: results is undefined');
+    expect(errors()).toHaveLength(0);
+  });
+
+  test('should emit js_error events with the page context', () => {
+    createCollector({ searchRequestId: 'search-1' });
+    throwError('Uncaught TypeError: results is undefined');
+
+    expect(errors()).toEqual([{
+      type: 'js_error',
+      errorType: 'error',
+      message: 'Uncaught TypeError: results is undefined',
+      stack: undefined,
+      source: 'https://example.com/app.js',
+      lineNumber: 10,
+      columnNumber: 5,
+      path: '/search',
+      searchRequestId: 'search-1',
+      timestamp: expect.any(String),
+      sessionId: 'session-1'
+    }]);
+  });
+
+  test('should capture unhandled rejections', () => {
+    createCollector();
+    window.dispatchEvent(Object.assign(new Event('unhandledrejection'), { reason: new Error('Failed to fetch') }));
+
+    expect(errors()).toEqual([expect.objectContaining({
+      errorType: 'unhandledrejection',
+      message: 'Error: Failed to fetch'
+    })]);
+  });
+
+  test('should report repeated errors once per session', () => {
+    createCollector();
+    throwError('Uncaught TypeError: results is undefined');
+    throwError('Uncaught TypeError: results is undefined');
+    throwError('Uncaught TypeError: results is undefined', 20);
+
+    expect(errors().map(error => error.lineNumber)).toEqual([10, 20]);
+  });
+
+  test('should remember reported errors across page loads', () => {
+    createCollector();
+    throwError('Uncaught TypeError: results is undefined');
+    collector.destroy();
+
+    createCollector();
+    throwError('Uncaught TypeError: results is undefined');
+    expect(errors()).toHaveLength(0);
+  });
+
+  test('should share reported errors and the limit between tabs of a session', () => {
+    const error = line => ({ message: 'Uncaught TypeError: results is undefined', source: 'https://example.com/app.js', lineNumber: line });
+    createCollector({ maxErrorsPerSession: 3 });
+    const firstTab = collector;
+    const secondTab = createCollector({ maxErrorsPerSession: 3 });
+    firstTab.trackError(error(1));
+    firstTab.trackError(error(2));
+    secondTab.trackError(error(1));
+    secondTab.trackError(error(3));
+    secondTab.trackError(error(4));
+    firstTab.trackError(error(5));
+
+    const reported = tab => tab.events.filter(event => event.type === 'js_error').map(event => event.lineNumber);
+    expect(reported(firstTab)).toEqual([1, 2]);
+    expect(reported(secondTab)).toEqual([3]);
+    firstTab.destroy();
+  });
+
+  test('should report errors again in a new session', () => {
+    createCollector();
+    throwError('Uncaught TypeError: results is undefined');
+    collector.resetSession();
+    throwError('Uncaught TypeError: results is undefined');
+
+    expect(errors().map(error => error.sessionId)).toEqual(['session-1', collector.sessionId]);
+  });
+
+  test('should limit the errors reported per session', () => {
+    createCollector({ maxErrorsPerSession: 3 });
+    for (let line = 1; line <= 5; line++) {
+      throwError('Uncaught RangeError: Maximum call stack size exceeded', line);
+    }
+    expect(errors()).toHaveLength(3);
+  });
+
+  test('should not count errors as activity', () => {
+    createCollector();
+    const touchSpy = jest.spyOn(collector, 'touchSession');
+    throwError('Uncaught TypeError: results is undefined');
+    expect(touchSpy).not.toHaveBeenCalled();
+  });
+
+  test('should stop listening on destroy', () => {
+    createCollector();
+    collector.destroy();
+    throwError('Uncaught TypeError: results is undefined');
+    expect(errors()).toHaveLength(0);
+  });
+});
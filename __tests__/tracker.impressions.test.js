@@ -0,0 +1,171 @@
+const SearchBehaviorAnalysisCollector = require('../src/tracker');
+
+describe('Impression Tracking', () => {
+  let collector;
+  let intersectionObservers;
+
+  const intersect = (element, intersectionRatio) => {
+    intersectionObservers[0].callback([{
+      target: element,
+      isIntersecting: intersectionRatio > 0,
+      intersectionRatio,
+    }]);
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+
+    intersectionObservers = [];
+    window.IntersectionObserver = jest.fn().mockImplementation((callback, options) => {
+      const observer = {
+        callback,
+        options,
+        observed: new Set(),
+        observe: jest.fn((element) => observer.observed.add(element)),
+        unobserve: jest.fn((element) => observer.observed.delete(element)),
+        disconnect: jest.fn(),
+      };
+      intersectionObservers.push(observer);
+      return observer;
+    });
+
+    sessionStorage.clear();
+    document.body.innerHTML = `
+      <div class="trackable-item" data-item-id="item1" data-search-request-id="search-1">Item 1</div>
+      <div class="trackable-item" data-item-id="item2" data-search-request-id="search-1">Item 2</div>
+    `;
+  });
+
+  afterEach(() => {
+    if (collector) {
+      collector.destroy();
+    }
+    delete window.IntersectionObserver;
+    jest.useRealTimers();
+  });
+
+  test('should observe existing items with the configured threshold', () => {
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      pageViewTrackingEnabled: false,
+      impressionThreshold: 0.75,
+    });
+    expect(intersectionObservers[0].options.threshold).toContain(0.75);
+    expect(intersectionObservers[0].observed.size).toBe(2);
+  });
+
+  test('should observe items rendered after being created in the head', async () => {
+    const body = document.body;
+    body.remove();
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false });
+    expect(intersectionObservers[0].observed.size).toBe(0);
+
+    document.documentElement.appendChild(body);
+    await Promise.resolve();
+    expect(intersectionObservers[0].observed.size).toBe(2);
+  });
+
+  test('should emit an impression when an item leaves the viewport', () => {
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false });
+    const item = document.querySelectorAll('.trackable-item')[1];
+
+    intersect(item, 0.6);
+    intersect(item, 0.9);
+    jest.advanceTimersByTime(1500);
+    intersect(item, 0);
+
+    expect(collector.events).toHaveLength(1);
+    expect(collector.events[0]).toMatchObject({
+      type: 'impression',
+      itemId: 'item2',
+      position: 2,
+      searchRequestId: 'search-1',
+      visibleRatio: 0.9,
+      timeInView: 1500,
+    });
+  });
+
+  test('should ignore items that were not visible long enough', () => {
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false });
+    const item = document.querySelector('.trackable-item');
+
+    intersect(item, 1);
+    jest.advanceTimersByTime(500);
+    intersect(item, 0);
+
+    expect(collector.events).toHaveLength(0);
+  });
+
+  test('should ignore items below the visibility threshold', () => {
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false });
+    const item = document.querySelector('.trackable-item');
+
+    intersect(item, 0.3);
+    jest.advanceTimersByTime(2000);
+    intersect(item, 0);
+
+    expect(collector.events).toHaveLength(0);
+  });
+
+  test('should skip duplicate impressions within the same search request', () => {
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false });
+    const item = document.querySelector('.trackable-item');
+
+    intersect(item, 1);
+    jest.advanceTimersByTime(1000);
+    intersect(item, 0);
+    intersect(item, 1);
+    jest.advanceTimersByTime(1000);
+    intersect(item, 0);
+
+    expect(collector.events.filter(e => e.type === 'impression')).toHaveLength(1);
+
+    item.setAttribute('data-search-request-id', 'search-2');
+    intersect(item, 1);
+    jest.advanceTimersByTime(1000);
+    intersect(item, 0);
+
+    expect(collector.events.filter(e => e.type === 'impression')).toHaveLength(2);
+  });
+
+  test('should observe items added after the tracker started', async () => {
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false });
+
+    const container = document.createElement('div');
+    container.innerHTML = '<div class="trackable-item" data-item-id="item3">Item 3</div>';
+    document.body.appendChild(container);
+    await Promise.resolve();
+
+    expect(intersectionObservers[0].observed.has(container.firstElementChild)).toBe(true);
+  });
+
+  test('should flush items still in view when the page is hidden', () => {
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false });
+    const item = document.querySelector('.trackable-item');
+
+    intersect(item, 1);
+    jest.advanceTimersByTime(3000);
+    Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+    document.dispatchEvent(new Event('visibilitychange'));
+    Object.defineProperty(document, 'visibilityState', { value: 'visible', configurable: true });
+
+    // Hidden pages send their events right away
+    const sentEvents = fetch.mock.calls.flatMap(([, options]) => JSON.parse(options.body).events);
+    expect(sentEvents[0]).toMatchObject({
+      type: 'impression',
+      itemId: 'item1',
+      timeInView: 3000,
+    });
+  });
+
+  test('should not observe items when impression tracking is disabled', () => {
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      pageViewTrackingEnabled: false,
+      impressionTrackingEnabled: false,
+      scrollTrackingEnabled: false,
+    });
+    expect(window.IntersectionObserver).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,131 @@
+const SearchBehaviorAnalysisCollector = require('../src/tracker');
+
+describe('Grid Layouts', () => {
+  let collector;
+
+  // jsdom does not lay out pages, give each item the rect it would have in a grid
+  const renderGrid = (itemCount, columns, layout = 'grid') => {
+    const items = Array.from({ length: itemCount }, (_, index) => (
+      `<div class="trackable-item" data-item-id="item${index + 1}">Item ${index + 1}</div>`
+    )).join('');
+    document.body.innerHTML = `<div data-search-request-id="search-1" data-layout="${layout}">${items}</div>`;
+    document.querySelectorAll('.trackable-item').forEach((element, index) => {
+      const top = Math.floor(index / columns) * 300;
+      const left = (index % columns) * 200;
+      element.getBoundingClientRect = () => ({ top, left, width: 200, height: 300 });
+    });
+  };
+
+  const click = (itemId) => {
+    document.querySelector(`[data-item-id="${itemId}"]`).dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    return collector.events[collector.events.length - 1];
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    sessionStorage.clear();
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      dwellTrackingEnabled: false,
+      batchSize: 100,
+    });
+  });
+
+  afterEach(() => {
+    collector.destroy();
+    delete window.IntersectionObserver;
+    document.body.innerHTML = '';
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should send grid coordinates and the layout with clicks', () => {
+    renderGrid(10, 4);
+    expect(click('item7')).toMatchObject({
+      position: 7,
+      layout: 'grid',
+      row: 2,
+      column: 3,
+      columnsPerRow: 4,
+    });
+  });
+
+  test('should follow the grid as it reflows', () => {
+    renderGrid(10, 4);
+    expect(click('item5')).toMatchObject({ row: 2, column: 1, columnsPerRow: 4 });
+
+    renderGrid(10, 2);
+    expect(click('item5')).toMatchObject({ row: 3, column: 1, columnsPerRow: 2 });
+  });
+
+  test('should report a carousel as a single row', () => {
+    renderGrid(6, 6, 'carousel');
+    expect(click('item4')).toMatchObject({ layout: 'carousel', row: 1, column: 4, columnsPerRow: 6 });
+  });
+
+  test('should leave out coordinates of items that are not rendered', () => {
+    document.body.innerHTML = '<div class="trackable-item" data-item-id="item1">Item 1</div>';
+    const event = click('item1');
+    expect(event).not.toHaveProperty('row');
+    expect(event).not.toHaveProperty('layout');
+  });
+
+  test('should measure the grid once until the items change or the window is resized', async () => {
+    renderGrid(10, 4);
+    const items = [...document.querySelectorAll('.trackable-item')];
+    items.forEach(element => jest.spyOn(element, 'getBoundingClientRect'));
+    const measurements = () => items.reduce((count, element) => count + element.getBoundingClientRect.mock.calls.length, 0);
+
+    click('item1');
+    click('item2');
+    click('item7');
+    // The whole grid once, then only the rect of each clicked item
+    expect(measurements()).toBe(10 + 3);
+
+    window.dispatchEvent(new Event('resize'));
+    expect(click('item2')).toMatchObject({ row: 1, column: 2 });
+    expect(measurements()).toBe(13 + 1 + 10);
+
+    const more = document.createElement('div');
+    more.className = 'trackable-item';
+    more.setAttribute('data-item-id', 'item11');
+    more.getBoundingClientRect = () => ({ top: 600, left: 400, width: 200, height: 300 });
+    document.querySelector('[data-layout]').appendChild(more);
+    await Promise.resolve();
+    expect(click('item11')).toMatchObject({ row: 3, column: 3 });
+  });
+
+  test('should take the rect of impressions from the intersection entry', () => {
+    let intersectionCallback;
+    window.IntersectionObserver = jest.fn().mockImplementation((callback) => {
+      intersectionCallback = callback;
+      return { observe: jest.fn(), unobserve: jest.fn(), disconnect: jest.fn() };
+    });
+    collector.destroy();
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      dwellTrackingEnabled: false,
+      impressionMinDuration: 0,
+      batchSize: 100,
+    });
+    renderGrid(8, 4);
+    const item = document.querySelector('[data-item-id="item6"]');
+    jest.spyOn(item, 'getBoundingClientRect');
+
+    const boundingClientRect = { top: 300, left: 200, width: 200, height: 300 };
+    intersectionCallback([{ target: item, isIntersecting: true, intersectionRatio: 1, boundingClientRect }]);
+    collector.flushImpressions();
+
+    expect(collector.events[collector.events.length - 1]).toMatchObject({
+      type: 'impression',
+      itemId: 'item6',
+      row: 2,
+      column: 2,
+      columnsPerRow: 4,
+    });
+    // Measured once with the rest of the grid, not for the impression itself
+    expect(item.getBoundingClientRect).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,161 @@
+const SearchBehaviorAnalysisCollector = require('../src/tracker');
+const { validateMetricsPayload, SCHEMA_VERSION } = require('../src/schema');
+
+describe('Long Task Monitoring', () => {
+  let collector;
+  let observers;
+
+  // Delivers entries to the observer of an entry type
+  const emit = (type, entries) => {
+    observers
+      .filter(observer => observer.types.includes(type) && !observer.disconnected)
+      .forEach(observer => observer.callback({ getEntries: () => entries }));
+  };
+
+  const setVisibility = (visibilityState) => {
+    Object.defineProperty(document, 'visibilityState', { value: visibilityState, configurable: true });
+    document.dispatchEvent(new Event('visibilitychange'));
+  };
+
+  const metrics = type => collector.performanceMetrics.filter(metric => metric.type === type);
+
+  const createCollector = (supportedEntryTypes = ['longtask', 'long-animation-frame']) => {
+    PerformanceObserver.supportedEntryTypes = supportedEntryTypes;
+    collector = new SearchBehaviorAnalysisCollector({ batchSize: 100, searchRequestId: 'search-1' });
+    jest.spyOn(collector, 'sendPerformanceMetrics').mockResolvedValue();
+    return collector;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    sessionStorage.clear();
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    observers = [];
+    global.PerformanceObserver = jest.fn().mockImplementation((callback) => {
+      const observer = {
+        callback,
+        types: [],
+        observe: jest.fn((options) => {
+          observer.types.push(options.type);
+        }),
+        disconnect: jest.fn(() => {
+          observer.disconnected = true;
+        }),
+      };
+      observers.push(observer);
+      return observer;
+    });
+    // jsdom has no Performance Timeline, the page has no navigation timing
+    performance.getEntriesByType = jest.fn().mockReturnValue([]);
+    history.replaceState({}, '', '/search');
+  });
+
+  afterEach(() => {
+    collector.destroy();
+    setVisibility('visible');
+    delete global.PerformanceObserver;
+    delete performance.getEntriesByType;
+    history.replaceState({}, '', '/');
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should only observe supported entry types', () => {
+    createCollector(['longtask']);
+    const types = observers.flatMap(observer => observer.types);
+    expect(types).toContain('longtask');
+    expect(types).not.toContain('long-animation-frame');
+  });
+
+  test('should report long tasks with their blocking time', () => {
+    createCollector();
+    emit('longtask', [{
+      duration: 180,
+      name: 'cross-origin-descendant',
+      attribution: [{ containerType: 'iframe', containerSrc: 'https://ads.example.com/frame.html' }],
+    }]);
+
+    expect(metrics('LONG_TASK')).toEqual([expect.objectContaining({
+      duration: 180,
+      blockingDuration: 130,
+      name: 'cross-origin-descendant',
+      url: 'https://ads.example.com/frame.html',
+      path: '/search',
+      searchRequestId: 'search-1',
+    })]);
+  });
+
+  test('should report long animation frames with script attribution', () => {
+    createCollector();
+    emit('long-animation-frame', [{
+      duration: 240,
+      blockingDuration: 170,
+      scripts: [{
+        invoker: 'BUTTON#apply.onclick',
+        invokerType: 'event-listener',
+        sourceURL: 'https://example.com/app.js',
+        sourceFunctionName: 'applyFilters',
+        duration: 190,
+      }],
+    }]);
+
+    expect(metrics('LONG_ANIMATION_FRAME')).toEqual([expect.objectContaining({
+      duration: 240,
+      blockingDuration: 170,
+      scripts: [expect.objectContaining({ invoker: 'BUTTON#apply.onclick', sourceFunctionName: 'applyFilters' })],
+      path: '/search',
+      searchRequestId: 'search-1',
+    })]);
+  });
+
+  test('should report the total blocking time of a page view when the page is hidden', () => {
+    createCollector();
+    emit('longtask', [{ duration: 120, name: 'self' }, { duration: 45, name: 'self' }]);
+    emit('longtask', [{ duration: 90, name: 'self' }]);
+    setVisibility('hidden');
+
+    expect(metrics('TBT')).toEqual([expect.objectContaining({ value: 110, path: '/search', searchRequestId: 'search-1' })]);
+  });
+
+  test('should report the total blocking time again only when it grew', () => {
+    createCollector();
+    setVisibility('hidden');
+    setVisibility('visible');
+    setVisibility('hidden');
+    emit('longtask', [{ duration: 100, name: 'self' }]);
+    setVisibility('hidden');
+
+    expect(metrics('TBT').map(metric => metric.value)).toEqual([0, 50]);
+  });
+
+  test('should start over for every route', () => {
+    createCollector();
+    emit('longtask', [{ duration: 300, name: 'self' }]);
+    history.pushState({}, '', '/product/1');
+    emit('longtask', [{ duration: 70, name: 'self' }]);
+    setVisibility('hidden');
+
+    expect(metrics('TBT').map(({ value, path }) => [value, path])).toEqual([[250, '/search'], [20, '/product/1']]);
+  });
+
+  test('should not report a total blocking time without long task support', () => {
+    createCollector([]);
+    setVisibility('hidden');
+    expect(metrics('TBT')).toHaveLength(0);
+  });
+
+  test('should send metrics that match the schema', () => {
+    createCollector();
+    emit('longtask', [{ duration: 120, name: 'self' }]);
+    emit('long-animation-frame', [{ duration: 240, blockingDuration: 170, scripts: [] }]);
+    collector.reportTotalBlockingTime();
+
+    const result = validateMetricsPayload({
+      schemaVersion: SCHEMA_VERSION,
+      performanceMetrics: collector.performanceMetrics,
+      timestamp: new Date().toISOString(),
+    });
+    expect(result.errors).toEqual([]);
+  });
+});
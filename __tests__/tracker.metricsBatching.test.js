@@ -0,0 +1,169 @@
+const SearchBehaviorAnalysisCollector = require('../src/tracker');
+
+describe('Performance Metrics Batching', () => {
+  let collector;
+  let resourceObserver;
+
+  const resource = (name, duration, transferSize = 1000, initiatorType = 'script') => ({
+    name, duration, transferSize, initiatorType,
+  });
+  const loadResources = (entries) => resourceObserver.callback({ getEntries: () => entries });
+  const sentMetrics = () => fetch.mock.calls
+    .filter(([url]) => url === '/api/metrics')
+    .flatMap(([, options]) => JSON.parse(options.body).performanceMetrics);
+
+  const setVisibility = (visibilityState) => {
+    Object.defineProperty(document, 'visibilityState', { value: visibilityState, configurable: true });
+    document.dispatchEvent(new Event('visibilitychange'));
+  };
+
+  const createCollector = (config = {}) => {
+    collector = new SearchBehaviorAnalysisCollector({ batchSize: 100, ...config });
+    return collector;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    sessionStorage.clear();
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    navigator.sendBeacon = jest.fn().mockReturnValue(true);
+    // jsdom has no Performance Timeline
+    performance.getEntriesByType = jest.fn().mockReturnValue([]);
+    global.PerformanceObserver = jest.fn().mockImplementation((callback) => {
+      const observer = {
+        callback,
+        observe: jest.fn((options) => {
+          if (options.entryTypes?.includes('resource')) {
+            resourceObserver = observer;
+          }
+        }),
+        disconnect: jest.fn(),
+      };
+      return observer;
+    });
+    history.replaceState({}, '', '/search');
+  });
+
+  afterEach(() => {
+    collector.destroy();
+    setVisibility('visible');
+    delete global.PerformanceObserver;
+    delete performance.getEntriesByType;
+    delete navigator.sendBeacon;
+    history.replaceState({}, '', '/');
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should batch metrics until the batch size is reached', () => {
+    createCollector({ metricsBatchSize: 3 });
+
+    loadResources([resource('https://cdn.example.com/a.js', 10), resource('https://cdn.example.com/b.js', 20)]);
+    expect(fetch).not.toHaveBeenCalled();
+
+    loadResources([resource('https://cdn.example.com/c.js', 30)]);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(sentMetrics().map(metric => metric.name)).toEqual([
+      'https://cdn.example.com/a.js', 'https://cdn.example.com/b.js', 'https://cdn.example.com/c.js',
+    ]);
+  });
+
+  test('should send batched metrics on their own interval', () => {
+    createCollector({ metricsSendInterval: 5000, sendInterval: 60000 });
+    loadResources([resource('https://cdn.example.com/a.js', 10)]);
+
+    jest.advanceTimersByTime(4999);
+    expect(fetch).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(sentMetrics()).toHaveLength(1);
+  });
+
+  test('should flush metrics with sendBeacon when the page is hidden', () => {
+    createCollector();
+    loadResources([resource('https://cdn.example.com/a.js', 10)]);
+
+    setVisibility('hidden');
+
+    expect(navigator.sendBeacon).toHaveBeenCalledWith('/api/metrics', expect.any(Blob));
+    expect(collector.performanceMetrics).toHaveLength(0);
+  });
+
+  test('should only record resources matching the include and exclude patterns', () => {
+    createCollector({
+      resourceIncludePatterns: ['cdn.example.com', /\.css$/],
+      resourceExcludePatterns: [/analytics/],
+    });
+
+    loadResources([
+      resource('https://cdn.example.com/app.js', 10),
+      resource('https://cdn.example.com/analytics.js', 10),
+      resource('https://fonts.example.org/font.css', 10, 1000, 'link'),
+      resource('https://ads.example.net/pixel.gif', 10, 1000, 'img'),
+    ]);
+
+    expect(collector.performanceMetrics.map(metric => metric.name)).toEqual([
+      'https://cdn.example.com/app.js', 'https://fonts.example.org/font.css',
+    ]);
+  });
+
+  test('should never record requests to its own endpoints', () => {
+    createCollector();
+    loadResources([
+      resource(`${window.location.origin}/api/track`, 10, 100, 'fetch'),
+      resource(`${window.location.origin}/api/metrics`, 10, 100, 'fetch'),
+      resource(`${window.location.origin}/api/products`, 10, 100, 'fetch'),
+    ]);
+
+    expect(collector.performanceMetrics.map(metric => metric.name)).toEqual([
+      `${window.location.origin}/api/products`,
+    ]);
+  });
+
+  describe('resource aggregation', () => {
+    beforeEach(() => {
+      // Without sendBeacon hidden pages flush through fetch, which is easier to inspect
+      delete navigator.sendBeacon;
+    });
+
+    test('should summarize resources per initiator type and origin', () => {
+      createCollector({ resourceAggregationEnabled: true });
+      loadResources([
+        ...[40, 10, 30, 20, 100].map((duration, index) => resource(`https://cdn.example.com/${index}.js`, duration, 2000)),
+        resource('https://cdn.example.com/hero.jpg', 80, 50000, 'img'),
+        resource('/api/products?page=2', 60, 300, 'fetch'),
+      ]);
+      expect(collector.performanceMetrics).toHaveLength(0);
+
+      setVisibility('hidden');
+
+      expect(sentMetrics().filter(metric => metric.type === 'RESOURCE_SUMMARY')).toEqual([
+        expect.objectContaining({
+          type: 'RESOURCE_SUMMARY',
+          initiatorType: 'script',
+          origin: 'https://cdn.example.com',
+          count: 5,
+          totalSize: 10000,
+          p50Duration: 30,
+          p95Duration: 100,
+          path: '/search',
+        }),
+        expect.objectContaining({ initiatorType: 'img', count: 1, totalSize: 50000, p50Duration: 80, p95Duration: 80 }),
+        expect.objectContaining({ initiatorType: 'fetch', origin: window.location.origin, count: 1 }),
+      ]);
+    });
+
+    test('should summarize each route separately', () => {
+      createCollector({ resourceAggregationEnabled: true });
+      loadResources([resource('https://cdn.example.com/a.js', 10)]);
+      history.pushState({}, '', '/product/1');
+      loadResources([resource('https://cdn.example.com/b.js', 20)]);
+      setVisibility('hidden');
+
+      expect(sentMetrics().filter(metric => metric.type === 'RESOURCE_SUMMARY')).toEqual([
+        expect.objectContaining({ count: 1, p50Duration: 10, path: '/search' }),
+        expect.objectContaining({ count: 1, p50Duration: 20, path: '/product/1' }),
+      ]);
+    });
+  });
+});
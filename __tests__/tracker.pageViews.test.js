@@ -0,0 +1,171 @@
+const SearchBehaviorAnalysisCollector = require('../src/tracker');
+
+describe('Page Views', () => {
+  let collector;
+
+  const createCollector = (config = {}) => {
+    collector = new SearchBehaviorAnalysisCollector({ batchSize: 100, ...config });
+    jest.spyOn(collector, 'sendPerformanceMetrics').mockResolvedValue();
+    return collector;
+  };
+
+  const pageViews = () => collector.events.filter(event => event.type === 'page_view');
+  const softNavigations = () => collector.performanceMetrics.filter(metric => metric.type === 'SOFT_NAVIGATION');
+
+  // Mutation records are delivered in a microtask
+  const changeDom = async (html) => {
+    document.body.insertAdjacentHTML('beforeend', html);
+    await Promise.resolve();
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    sessionStorage.clear();
+    // An ongoing session, a new one would queue a session_start event first
+    localStorage.setItem('tracker_session_id', 'session-1');
+    localStorage.setItem('tracker_session_timestamp', new Date().toISOString());
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    // jsdom has no Performance Timeline
+    performance.getEntriesByType = jest.fn().mockReturnValue([]);
+    document.title = 'Search';
+    document.body.innerHTML = '<main id="app"></main>';
+    history.replaceState({}, '', '/search?q=shoes&email=jane%40example.com');
+  });
+
+  afterEach(() => {
+    collector.destroy();
+    delete global.PerformanceObserver;
+    delete performance.getEntriesByType;
+    history.replaceState({}, '', '/');
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should emit a page view on load', () => {
+    jest.spyOn(document, 'referrer', 'get').mockReturnValue('https://www.example.org/');
+    createCollector({ pageViewQueryParams: ['q'] });
+
+    expect(pageViews()).toEqual([{
+      type: 'page_view',
+      path: '/search',
+      previousPath: null,
+      referrer: 'https://www.example.org/',
+      title: 'Search',
+      queryParams: { q: 'shoes' },
+      navigationType: 'load',
+      timestamp: expect.any(String),
+      sessionId: 'session-1'
+    }]);
+  });
+
+  test('should not send query parameters unless allowlisted', () => {
+    createCollector();
+    expect(pageViews()[0].queryParams).toEqual({});
+    expect(pageViews()[0].referrer).toBeNull();
+  });
+
+  test('should report pages restored from the history as back/forward navigations', () => {
+    performance.getEntriesByType.mockReturnValue([{ type: 'back_forward' }]);
+    createCollector();
+    expect(pageViews()[0].navigationType).toBe('back_forward');
+  });
+
+  test('should emit a page view on every route change', () => {
+    createCollector();
+
+    document.title = 'Product';
+    history.pushState({}, '', '/product/1');
+    history.replaceState({}, '', '/product/1-running-shoes');
+    // The browser has already moved back when popstate fires
+    collector._originalPushState.call(history, {}, '', '/search');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+
+    expect(pageViews().map(({ path, previousPath, navigationType }) => ({ path, previousPath, navigationType }))).toEqual([
+      { path: '/search', previousPath: null, navigationType: 'load' },
+      { path: '/product/1', previousPath: '/search', navigationType: 'push' },
+      { path: '/product/1-running-shoes', previousPath: '/product/1', navigationType: 'replace' },
+      { path: '/search', previousPath: '/product/1-running-shoes', navigationType: 'back_forward' }
+    ]);
+    expect(pageViews()[1].title).toBe('Product');
+  });
+
+  test('should ignore history changes that keep the path', () => {
+    createCollector();
+    history.pushState({}, '', '/search?q=boots');
+    expect(pageViews()).toHaveLength(1);
+  });
+
+  test('should be disabled by pageViewTrackingEnabled', () => {
+    createCollector({ pageViewTrackingEnabled: false });
+    history.pushState({}, '', '/product/1');
+    expect(pageViews()).toHaveLength(0);
+  });
+
+  describe('soft navigations', () => {
+    test('should last from the route change until the DOM settles', async () => {
+      createCollector();
+      history.pushState({}, '', '/product/1');
+
+      jest.advanceTimersByTime(50);
+      await changeDom('<h1>Running shoes</h1>');
+      jest.advanceTimersByTime(200);
+      await changeDom('<img src="shoes.jpg">');
+      expect(softNavigations()).toHaveLength(0);
+
+      jest.advanceTimersByTime(300);
+      expect(softNavigations()).toEqual([expect.objectContaining({
+        duration: 250,
+        navigationType: 'push',
+        path: '/product/1'
+      })]);
+    });
+
+    test('should wait for the configured quiet period', async () => {
+      createCollector({ softNavigationQuietPeriod: 1000 });
+      history.pushState({}, '', '/product/1');
+
+      jest.advanceTimersByTime(500);
+      await changeDom('<h1>Running shoes</h1>');
+      jest.advanceTimersByTime(999);
+      expect(softNavigations()).toHaveLength(0);
+
+      jest.advanceTimersByTime(1);
+      expect(softNavigations()[0].duration).toBe(500);
+    });
+
+    test('should end when the route is left before the DOM settles', async () => {
+      createCollector();
+      history.pushState({}, '', '/product/1');
+      jest.advanceTimersByTime(100);
+      await changeDom('<h1>Running shoes</h1>');
+      history.pushState({}, '', '/product/2');
+
+      expect(softNavigations()).toEqual([expect.objectContaining({ duration: 100, path: '/product/1' })]);
+    });
+
+    test('should end after 10 seconds of continuous DOM changes', async () => {
+      createCollector();
+      history.pushState({}, '', '/product/1');
+      for (let elapsed = 0; elapsed < 10000; elapsed += 200) {
+        jest.advanceTimersByTime(200);
+        await changeDom('<span>Frame</span>');
+      }
+
+      expect(softNavigations()).toEqual([expect.objectContaining({ duration: 10000 })]);
+    });
+
+    test('should not report the initial load or repeat its navigation timing', () => {
+      global.PerformanceObserver = jest.fn().mockImplementation(() => ({ observe: jest.fn(), disconnect: jest.fn() }));
+      performance.getEntriesByType.mockReturnValue([{ type: 'navigate', startTime: 0 }]);
+      createCollector();
+      jest.advanceTimersByTime(1000);
+      expect(softNavigations()).toHaveLength(0);
+
+      history.pushState({}, '', '/product/1');
+      jest.advanceTimersByTime(1000);
+      const types = collector.performanceMetrics.map(metric => metric.type);
+      expect(types).toEqual(['NAVIGATION', 'CLS', 'SOFT_NAVIGATION']);
+    });
+  });
+});
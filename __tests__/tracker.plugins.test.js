@@ -0,0 +1,165 @@
+const SearchBehaviorAnalysisCollector = require('../src/tracker');
+
+describe('Plugins', () => {
+  let collector;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    sessionStorage.clear();
+    // An ongoing session, a new one would queue a session_start event first
+    localStorage.setItem('tracker_session_id', 'session-1');
+    localStorage.setItem('tracker_session_timestamp', new Date().toISOString());
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false });
+  });
+
+  afterEach(() => {
+    collector.destroy();
+    delete global.PerformanceObserver;
+    delete performance.getEntriesByType;
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should call onInit with the tracker', () => {
+    const plugin = { onInit: jest.fn() };
+    expect(collector.use(plugin)).toBe(collector);
+    expect(plugin.onInit).toHaveBeenCalledWith(collector);
+  });
+
+  test('should register plugins passed in the config', () => {
+    collector.destroy();
+    const plugin = { onInit: jest.fn() };
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      pageViewTrackingEnabled: false,
+      plugins: [plugin],
+    });
+    expect(collector.plugins).toEqual([plugin]);
+    expect(plugin.onInit).toHaveBeenCalledWith(collector);
+  });
+
+  test('should pass the events tracked on startup through config plugins', () => {
+    collector.destroy();
+    localStorage.clear();
+    performance.getEntriesByType = jest.fn().mockReturnValue([{ type: 'navigate', startTime: 0 }]);
+    global.PerformanceObserver = jest.fn().mockImplementation(() => ({ observe: jest.fn(), disconnect: jest.fn() }));
+    const beforeTrack = jest.fn().mockReturnValue(null);
+    const onInit = jest.fn();
+
+    collector = new SearchBehaviorAnalysisCollector({ plugins: [{ onInit, beforeTrack }] });
+
+    expect(onInit).toHaveBeenCalled();
+    expect(beforeTrack.mock.calls.map(([item]) => item.type)).toEqual(['session_start', 'page_view', 'NAVIGATION']);
+    expect(collector.events).toEqual([]);
+    expect(collector.performanceMetrics).toEqual([]);
+  });
+
+  test('should call onInit of config plugins once the tracker is set up', async () => {
+    collector.destroy();
+    const plugin = { onInit: tracker => tracker.trackEvent('init') };
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      pageViewTrackingEnabled: false,
+      batchSize: 1,
+      plugins: [plugin],
+    });
+    await Promise.resolve();
+
+    const sentEvents = fetch.mock.calls.flatMap(([, options]) => JSON.parse(options.body).events);
+    expect(sentEvents.map(event => event.name)).toContain('init');
+  });
+
+  test('should let beforeTrack mutate events', () => {
+    collector.use({
+      beforeTrack: (event) => {
+        event.tenant = 'shop-a';
+      },
+    });
+    collector.trackEvent('test_event');
+    expect(collector.events[0]).toMatchObject({ name: 'test_event', tenant: 'shop-a' });
+  });
+
+  test('should let beforeTrack replace or drop events', () => {
+    collector.use({
+      beforeTrack: (event) => (event.name === 'noise' ? null : { ...event, data: {} }),
+    });
+    collector.trackEvent('noise');
+    collector.trackEvent('test_event', { email: 'user@example.com' });
+
+    expect(collector.events).toHaveLength(1);
+    expect(collector.events[0]).toMatchObject({ name: 'test_event', data: {} });
+  });
+
+  test('should apply beforeTrack to clicks and performance metrics', () => {
+    const beforeTrack = jest.fn();
+    collector.use({ beforeTrack });
+    document.body.innerHTML = '<div class="trackable-item" data-item-id="item1">Item 1</div>';
+    document.querySelector('.trackable-item').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    collector.trackPerformanceMetric({ type: 'LCP', value: 1000 });
+
+    expect(beforeTrack).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'click' }),
+      expect.objectContaining({ kind: 'events', tracker: collector })
+    );
+    expect(beforeTrack).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'LCP' }),
+      expect.objectContaining({ kind: 'performanceMetrics' })
+    );
+  });
+
+  test('should let beforeSend transform the payload', async () => {
+    collector.use({
+      beforeSend: (payload, { kind }) => ({ ...payload, kind, browserInfo: undefined }),
+    });
+    collector.trackEvent('test_event');
+    await collector.sendEvents();
+
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(body.kind).toBe('events');
+    expect(body.browserInfo).toBeUndefined();
+  });
+
+  test('should drop the batch when beforeSend returns null', async () => {
+    collector.use({ beforeSend: () => null });
+    collector.trackEvent('test_event');
+    await collector.sendEvents();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('should call afterSend and onError', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const plugin = { afterSend: jest.fn(), onError: jest.fn() };
+    collector.use(plugin);
+
+    collector.trackEvent('test_event');
+    await collector.sendEvents();
+    expect(plugin.afterSend).toHaveBeenCalledWith(
+      expect.objectContaining({ events: expect.any(Array) }),
+      expect.objectContaining({ kind: 'events', url: '/api/track' })
+    );
+
+    fetch.mockResolvedValue({ ok: false, status: 500 });
+    collector.trackPerformanceMetric({ type: 'LCP', value: 1000 });
+    await collector.sendPerformanceMetrics();
+    expect(plugin.onError).toHaveBeenCalledWith(
+      expect.any(Error),
+      expect.objectContaining({ kind: 'performanceMetrics', url: '/api/metrics' })
+    );
+  });
+
+  test('should isolate errors thrown by plugins', () => {
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    collector.use({
+      name: 'broken',
+      beforeTrack: () => {
+        throw new Error('boom');
+      },
+    });
+    collector.trackEvent('test_event');
+
+    expect(collector.events).toHaveLength(1);
+    expect(spy).toHaveBeenCalledWith('Error in plugin broken beforeTrack:', expect.any(Error));
+  });
+});
@@ -0,0 +1,143 @@
+const SearchBehaviorAnalysisCollector = require('../src/tracker');
+
+describe('Result Positions', () => {
+  let collector;
+
+  const click = (itemId) => {
+    document.querySelector(`[data-item-id="${itemId}"]`).dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    return collector.events[collector.events.length - 1];
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    sessionStorage.clear();
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      dwellTrackingEnabled: false,
+      batchSize: 100,
+    });
+  });
+
+  afterEach(() => {
+    collector.destroy();
+    document.body.innerHTML = '';
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should prefer an explicit position attribute', () => {
+    document.body.innerHTML = `
+      <div class="trackable-item" data-item-id="item1" data-position="7">Item 1</div>
+      <div class="trackable-item" data-item-id="item2">Item 2</div>
+    `;
+    expect(click('item1').position).toBe(7);
+    expect(click('item2').position).toBe(2);
+  });
+
+  test('should rank items within their own result container', () => {
+    document.body.innerHTML = `
+      <ul data-search-request-id="search-1">
+        <li class="trackable-item" data-item-id="a1">A1</li>
+        <li class="trackable-item" data-item-id="a2">A2</li>
+      </ul>
+      <ul data-search-request-id="search-2">
+        <li class="trackable-item" data-item-id="b1">B1</li>
+        <li class="trackable-item" data-item-id="b2">B2</li>
+      </ul>
+    `;
+    expect(click('a2').position).toBe(2);
+    expect(click('b1').position).toBe(1);
+    expect(click('b2').position).toBe(2);
+  });
+
+  test('should add the page offset from container attributes', () => {
+    document.body.innerHTML = `
+      <ul data-search-request-id="search-1" data-page="3" data-page-size="20">
+        <li class="trackable-item" data-item-id="a1">A1</li>
+        <li class="trackable-item" data-item-id="a2">A2</li>
+      </ul>
+    `;
+    expect(click('a2').position).toBe(42);
+  });
+
+  test('should add the page offset of the tracked search', () => {
+    collector.trackSearch({ searchRequestId: 'search-1', query: 'shoes', page: 2, pageSize: 10 });
+    document.body.innerHTML = `
+      <ul data-search-request-id="search-1">
+        <li class="trackable-item" data-item-id="a1">A1</li>
+      </ul>
+      <ul data-search-request-id="search-2">
+        <li class="trackable-item" data-item-id="b1">B1</li>
+      </ul>
+    `;
+    expect(click('a1')).toMatchObject({ position: 11, searchRequestId: 'search-1' });
+    expect(click('b1')).toMatchObject({ position: 1, searchRequestId: 'search-2' });
+  });
+
+  test('should fall back to the configured page size', () => {
+    collector.config.pageSize = 24;
+    document.body.innerHTML = `
+      <ul data-search-request-id="search-1" data-page="2">
+        <li class="trackable-item" data-item-id="a1">A1</li>
+      </ul>
+    `;
+    expect(click('a1').position).toBe(25);
+  });
+
+  test('should cache positions until the result list changes', async () => {
+    document.body.innerHTML = `
+      <ul data-search-request-id="search-1">
+        <li class="trackable-item" data-item-id="a1">A1</li>
+        <li class="trackable-item" data-item-id="a2">A2</li>
+      </ul>
+    `;
+    const list = document.querySelector('ul');
+    await Promise.resolve(); // Let the observer report the initial render
+    const spy = jest.spyOn(list, 'querySelectorAll');
+
+    expect(click('a1').position).toBe(1);
+    expect(click('a2').position).toBe(2);
+    expect(spy).toHaveBeenCalledTimes(1);
+
+    // A re-render inserts a result at the top
+    const more = document.createElement('li');
+    more.className = 'trackable-item';
+    more.setAttribute('data-item-id', 'a3');
+    list.prepend(more);
+    await Promise.resolve();
+
+    expect(click('a1').position).toBe(2);
+    expect(click('a3').position).toBe(1);
+  });
+
+  test('should keep cached positions across unrelated DOM changes', async () => {
+    document.body.innerHTML = `
+      <ul data-search-request-id="search-1">
+        <li class="trackable-item" data-item-id="a1">A1 <span class="badge"></span></li>
+        <li class="trackable-item" data-item-id="a2">A2</li>
+      </ul>
+      <aside></aside>
+    `;
+    const list = document.querySelector('ul');
+    await Promise.resolve();
+    const spy = jest.spyOn(list, 'querySelectorAll');
+    expect(click('a1').position).toBe(1);
+
+    // Banners, badges and other content changing next to or inside the results
+    document.querySelector('aside').innerHTML = '<p>Free shipping</p>';
+    document.querySelector('.badge').textContent = 'New';
+    document.querySelector('.badge').appendChild(document.createElement('img'));
+    await Promise.resolve();
+
+    expect(click('a2').position).toBe(2);
+    expect(spy).toHaveBeenCalledTimes(1);
+
+    // Moving the list to another search request regroups its items
+    list.setAttribute('data-search-request-id', 'search-2');
+    await Promise.resolve();
+    expect(click('a2')).toMatchObject({ position: 2, searchRequestId: 'search-2' });
+    expect(spy).toHaveBeenCalledTimes(2);
+  });
+});
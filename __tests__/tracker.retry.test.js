@@ -0,0 +1,159 @@
+const SearchBehaviorAnalysisCollector = require('../src/tracker');
+
+describe('Retry Queue', () => {
+  let collector;
+  let errorSpy;
+
+  const flushPromises = async () => {
+    for (let i = 0; i < 50; i++) {
+      await Promise.resolve();
+    }
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    sessionStorage.clear();
+    // An ongoing session, a new one would queue a session_start event first
+    localStorage.setItem('tracker_session_id', 'session-1');
+    localStorage.setItem('tracker_session_timestamp', new Date().toISOString());
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 503 });
+  });
+
+  afterEach(() => {
+    collector.destroy();
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should persist failed batches so they survive a reload', async () => {
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false });
+    collector.trackEvent('test_event');
+    await collector.sendEvents();
+    await collector.retryQueue.flush();
+
+    const [item] = collector.retryQueue.items;
+    const stored = JSON.parse(localStorage.getItem(`tracker_queue:${item.id}`));
+    expect(stored.data.events[0].name).toBe('test_event');
+  });
+
+  test('should retry with exponential backoff', async () => {
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      pageViewTrackingEnabled: false,
+      retryBaseDelay: 1000,
+    });
+    collector.trackEvent('test_event');
+    await collector.sendEvents();
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    // First retry after half of the 1 second base delay (jitter is 0 here)
+    jest.advanceTimersByTime(500);
+    await flushPromises();
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    // Second retry waits for half of 2 seconds
+    jest.advanceTimersByTime(900);
+    await flushPromises();
+    expect(fetch).toHaveBeenCalledTimes(2);
+    jest.advanceTimersByTime(100);
+    await flushPromises();
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('should cap the retry delay', () => {
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      pageViewTrackingEnabled: false,
+      retryBaseDelay: 1000,
+      retryMaxDelay: 4000,
+    });
+    Math.random.mockReturnValue(1);
+    expect(collector.getRetryDelay(1)).toBe(1000);
+    expect(collector.getRetryDelay(10)).toBe(4000);
+  });
+
+  test('should queue new batches behind pending ones instead of hitting a down endpoint', async () => {
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false });
+    collector.trackEvent('first');
+    await collector.sendEvents();
+    collector.trackEvent('second');
+    await collector.sendEvents();
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(collector.retryQueue.items.map(item => item.data.events[0].name)).toEqual(['first', 'second']);
+  });
+
+  test('should deliver queued batches in order once the endpoint recovers', async () => {
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false });
+    collector.trackEvent('first');
+    await collector.sendEvents();
+    collector.trackEvent('second');
+    await collector.sendEvents();
+
+    fetch.mockResolvedValue({ ok: true });
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+
+    const sentNames = fetch.mock.calls.slice(1).map(call => JSON.parse(call[1].body).events[0].name);
+    expect(sentNames).toEqual(['first', 'second']);
+    expect(collector.retryQueue.items).toHaveLength(0);
+    expect(errorSpy).toHaveBeenCalledWith('Error sending events:', expect.any(Error));
+  });
+
+  test('should replay stored batches on the next page load', async () => {
+    localStorage.setItem('tracker_queue:stored', JSON.stringify({
+      id: 'stored',
+      url: '/api/metrics',
+      data: { performanceMetrics: [{ type: 'LCP', value: 1000 }] },
+    }));
+    fetch.mockResolvedValue({ ok: true });
+
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false });
+    await collector.retryQueue.ready;
+    jest.advanceTimersByTime(0);
+    await flushPromises();
+
+    expect(fetch).toHaveBeenCalledWith('/api/metrics', expect.objectContaining({ method: 'POST' }));
+    expect(collector.retryQueue.items).toHaveLength(0);
+  });
+
+  test('should leave stored batches to the tab that is sending them', async () => {
+    localStorage.setItem('tracker_queue:stored', JSON.stringify({
+      id: 'stored',
+      url: '/api/metrics',
+      data: { performanceMetrics: [{ type: 'LCP', value: 1000 }] },
+      claimedBy: 'other-tab',
+      claimedUntil: Date.now() + 60000,
+    }));
+    fetch.mockResolvedValue({ ok: true });
+
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false });
+    await collector.retryQueue.ready;
+    jest.advanceTimersByTime(0);
+    await flushPromises();
+    expect(fetch).not.toHaveBeenCalled();
+
+    // The other tab delivered it meanwhile
+    localStorage.removeItem('tracker_queue:stored');
+    jest.advanceTimersByTime(60000);
+    await flushPromises();
+    expect(fetch).not.toHaveBeenCalled();
+    expect(collector.retryQueue.items).toHaveLength(0);
+  });
+
+  test('should keep failed batches in memory only when persistence is disabled', async () => {
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      pageViewTrackingEnabled: false,
+      persistentQueueEnabled: false,
+    });
+    collector.trackEvent('test_event');
+    await collector.sendEvents();
+
+    expect(collector.retryQueue.items).toHaveLength(1);
+    expect(Object.keys(localStorage).filter(key => key.startsWith('tracker_queue'))).toEqual([]);
+  });
+});
@@ -0,0 +1,105 @@
+const SearchBehaviorAnalysisCollector = require('../src/tracker');
+
+describe('Sampling', () => {
+  let collector;
+
+  // Session ids on both sides of a 50% sample rate
+  const findSessionId = (collectorInstance, sampled) => {
+    for (let i = 0; ; i++) {
+      const sessionId = `session-${i}`;
+      if ((collectorInstance.getSamplingValue(sessionId) < 0.5) === sampled) return sessionId;
+    }
+  };
+
+  const createCollector = (config) => {
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false, ...config });
+    return collector;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    sessionStorage.clear();
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+  });
+
+  afterEach(() => {
+    collector.destroy();
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should send everything with the sample rate by default', async () => {
+    createCollector();
+    collector.trackEvent('test_event');
+    await collector.sendEvents();
+    collector.trackPerformanceMetric({ type: 'LCP', value: 1000 });
+    await collector.sendPerformanceMetrics();
+
+    const [eventsPayload, metricsPayload] = fetch.mock.calls.map(call => JSON.parse(call[1].body));
+    expect(eventsPayload.sampleRate).toBe(1);
+    expect(metricsPayload.sampleRate).toBe(1);
+    expect(metricsPayload.performanceMetrics[0].sampleRate).toBe(1);
+  });
+
+  test('should hash session ids to a stable value', () => {
+    createCollector();
+    const value = collector.getSamplingValue('550e8400-e29b-41d4-a716-446655440000');
+    expect(value).toBeGreaterThanOrEqual(0);
+    expect(value).toBeLessThan(1);
+    expect(collector.getSamplingValue('550e8400-e29b-41d4-a716-446655440000')).toBe(value);
+  });
+
+  test('should send all events of a sampled session', async () => {
+    createCollector();
+    const sessionId = findSessionId(collector, true);
+    collector.destroy();
+    createCollector({ sessionId, eventSampleRate: 0.5 });
+
+    collector.trackEvent('first');
+    collector.trackEvent('second');
+    await collector.sendEvents();
+
+    const payload = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(payload.sampleRate).toBe(0.5);
+    expect(payload.events.map(event => event.name)).toEqual(['first', 'second']);
+  });
+
+  test('should not send events of an unsampled session', async () => {
+    createCollector();
+    const sessionId = findSessionId(collector, false);
+    collector.destroy();
+    createCollector({ sessionId, eventSampleRate: 0.5 });
+
+    collector.trackEvent('test_event');
+    await collector.sendEvents();
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(collector.events).toHaveLength(0);
+  });
+
+  test('should apply sample rates per metric type', async () => {
+    createCollector();
+    const sessionId = findSessionId(collector, false);
+    collector.destroy();
+    createCollector({ sessionId, metricsSampleRate: 0.5, metricSampleRates: { LCP: 1 } });
+
+    collector.trackPerformanceMetric({ type: 'RESOURCE', name: 'script.js', duration: 10 });
+    collector.trackPerformanceMetric({ type: 'LCP', value: 1000 });
+    await collector.sendPerformanceMetrics();
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    const payload = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(payload.sampleRate).toBe(0.5);
+    expect(payload.performanceMetrics).toEqual([expect.objectContaining({ type: 'LCP', sampleRate: 1 })]);
+  });
+
+  test('should drop everything with a sample rate of 0', async () => {
+    createCollector({ eventSampleRate: 0, metricsSampleRate: 0 });
+    collector.trackEvent('test_event');
+    await collector.sendEvents();
+    collector.trackPerformanceMetric({ type: 'LCP', value: 1000 });
+
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
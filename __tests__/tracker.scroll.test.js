@@ -0,0 +1,127 @@
+const SearchBehaviorAnalysisCollector = require('../src/tracker');
+
+describe('Scroll Depth Tracking', () => {
+  let collector;
+  let intersectionObserver;
+
+  const intersect = (itemId) => {
+    intersectionObserver.callback([{
+      target: document.querySelector(`[data-item-id="${itemId}"]`),
+      isIntersecting: true,
+      intersectionRatio: 0.2,
+    }]);
+  };
+
+  // Hidden pages send their events right away
+  const sentEvents = () => [
+    ...fetch.mock.calls.flatMap(([, options]) => JSON.parse(options.body).events || []),
+    ...collector.events,
+  ];
+  const scrollDepthEvents = () => sentEvents().filter(event => event.type === 'scroll_depth');
+
+  const setVisibility = (visibilityState) => {
+    Object.defineProperty(document, 'visibilityState', { value: visibilityState, configurable: true });
+    document.dispatchEvent(new Event('visibilitychange'));
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    sessionStorage.clear();
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    window.IntersectionObserver = jest.fn().mockImplementation((callback) => {
+      intersectionObserver = { callback, observe: jest.fn(), unobserve: jest.fn(), disconnect: jest.fn() };
+      return intersectionObserver;
+    });
+    Object.defineProperty(document.documentElement, 'scrollHeight', { value: 4000, configurable: true });
+    window.innerHeight = 1000;
+    window.scrollY = 0;
+    document.body.innerHTML = `
+      <ul data-search-request-id="search-1">
+        <li class="trackable-item" data-item-id="item1">Item 1</li>
+        <li class="trackable-item" data-item-id="item2">Item 2</li>
+        <li class="trackable-item" data-item-id="item3">Item 3</li>
+      </ul>
+    `;
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      impressionTrackingEnabled: false,
+      batchSize: 100,
+    });
+  });
+
+  afterEach(() => {
+    collector.destroy();
+    delete window.IntersectionObserver;
+    delete document.documentElement.scrollHeight;
+    document.body.innerHTML = '';
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should report the depth when the page is left', () => {
+    intersect('item1');
+    intersect('item3');
+    window.scrollY = 2000;
+    window.dispatchEvent(new Event('scroll'));
+
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(scrollDepthEvents()).toEqual([expect.objectContaining({
+      searchRequestId: 'search-1',
+      maxScrollPercent: 75,
+      maxVisiblePosition: 3,
+      sessionId: collector.sessionId,
+    })]);
+    // Only scroll depth is reported when impression tracking is disabled
+    expect(sentEvents().filter(event => event.type === 'impression')).toHaveLength(0);
+  });
+
+  test('should keep measuring while the page is hidden and report once', () => {
+    intersect('item2');
+    setVisibility('hidden');
+    expect(scrollDepthEvents()).toHaveLength(0);
+
+    // Back from a result opened in another tab
+    setVisibility('visible');
+    intersect('item3');
+    window.scrollY = 3000;
+    window.dispatchEvent(new Event('scroll'));
+    window.dispatchEvent(new Event('pagehide'));
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(scrollDepthEvents()).toEqual([expect.objectContaining({ maxScrollPercent: 100, maxVisiblePosition: 3 })]);
+  });
+
+  test('should report the depth on path change', () => {
+    intersect('item2');
+    history.pushState({}, '', '/product/item2');
+
+    expect(scrollDepthEvents()).toEqual([expect.objectContaining({ searchRequestId: 'search-1', maxVisiblePosition: 2 })]);
+    history.pushState({}, '', '/');
+  });
+
+  test('should report a results page tracked with trackSearch without visible results', () => {
+    collector.trackSearch({ searchRequestId: 'search-2', query: 'nothing', totalResults: 0 });
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(scrollDepthEvents()).toEqual([expect.objectContaining({ searchRequestId: 'search-2', maxScrollPercent: 25 })]);
+  });
+
+  test('should not report pages without search results', () => {
+    document.body.innerHTML = '';
+    window.dispatchEvent(new Event('pagehide'));
+    expect(scrollDepthEvents()).toHaveLength(0);
+  });
+
+  test('should not track scroll depth when disabled', () => {
+    collector.destroy();
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      scrollTrackingEnabled: false,
+    });
+    window.dispatchEvent(new Event('pagehide'));
+    expect(collector.scrollDepth).toBeUndefined();
+    expect(scrollDepthEvents()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,88 @@
+const SearchBehaviorAnalysisCollector = require('../src/tracker');
+
+describe('Search Tracking', () => {
+  let collector;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    document.body.innerHTML = '';
+    sessionStorage.clear();
+    // An ongoing session, a new one would queue a session_start event first
+    localStorage.setItem('tracker_session_id', 'session-1');
+    localStorage.setItem('tracker_session_timestamp', new Date().toISOString());
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      pageViewTrackingEnabled: false,
+      batchSize: 100,
+    });
+  });
+
+  afterEach(() => {
+    collector.destroy();
+    jest.useRealTimers();
+  });
+
+  test('should emit a structured search event', () => {
+    collector.trackSearch({
+      query: 'running shoes',
+      filters: { brand: ['acme'] },
+      sort: 'relevance',
+      page: 1,
+      totalResults: 42,
+      resultItemIds: ['item1', 'item2'],
+      searchRequestId: 'search-1',
+    });
+
+    expect(collector.events).toHaveLength(1);
+    expect(collector.events[0]).toMatchObject({
+      type: 'search',
+      query: 'running shoes',
+      filters: { brand: ['acme'] },
+      sort: 'relevance',
+      page: 1,
+      totalResults: 42,
+      resultItemIds: ['item1', 'item2'],
+      searchRequestId: 'search-1',
+      sessionId: collector.sessionId,
+    });
+  });
+
+  test('should generate a searchRequestId when none is given', () => {
+    const searchRequestId = collector.trackSearch({ query: 'shoes' });
+    expect(searchRequestId).toEqual(expect.any(String));
+    expect(collector.events[0].searchRequestId).toBe(searchRequestId);
+    expect(collector.config.searchRequestId).toBe(searchRequestId);
+  });
+
+  test('should attribute later clicks to the active search', () => {
+    collector.trackSearch({ query: 'shoes', searchRequestId: 'search-1' });
+    document.body.innerHTML = '<div class="trackable-item" data-item-id="item1">Item 1</div>';
+
+    document.querySelector('.trackable-item').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+    expect(collector.events[1]).toMatchObject({
+      type: 'click',
+      itemId: 'item1',
+      searchRequestId: 'search-1',
+    });
+  });
+
+  test('should attribute conversions to the active search', () => {
+    collector.trackSearch({ query: 'shoes', searchRequestId: 'search-1' });
+    collector.trackConversion({ orderId: 'ORDER123' });
+
+    expect(collector.events[1]).toMatchObject({
+      name: 'conversion',
+      data: { orderId: 'ORDER123', searchRequestId: 'search-1' },
+    });
+  });
+
+  test('should replace the search context on a new search', () => {
+    collector.trackSearch({ query: 'shoes', searchRequestId: 'search-1' });
+    collector.trackSearch({ query: 'red shoes', searchRequestId: 'search-2' });
+
+    expect(collector.searchContext).toMatchObject({ query: 'red shoes', searchRequestId: 'search-2' });
+    expect(collector.config.searchRequestId).toBe('search-2');
+  });
+});
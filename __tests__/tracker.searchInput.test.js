@@ -0,0 +1,145 @@
+const SearchBehaviorAnalysisCollector = require('../src/tracker');
+
+describe('Search Input Tracking', () => {
+  let collector;
+  let input;
+
+  const createCollector = () => {
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      pageViewTrackingEnabled: false,
+      searchInputSelector: 'input[name="q"]',
+      batchSize: 100,
+    });
+  };
+
+  const type = (value) => {
+    input.value = value;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+  };
+
+  const submit = () => {
+    input.form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+  };
+
+  const eventsOfType = (type) => collector.events.filter(event => event.type === type);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    sessionStorage.clear();
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    document.body.innerHTML = '<form><input name="q" type="search"></form>';
+    input = document.querySelector('input');
+    createCollector();
+  });
+
+  afterEach(() => {
+    collector.destroy();
+    document.body.innerHTML = '';
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should be opt-in', () => {
+    collector.destroy();
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false });
+    input.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+    type('shoes');
+    submit();
+    expect(collector.events).toHaveLength(0);
+  });
+
+  test('should report typing timing once the user pauses', () => {
+    input.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+    jest.advanceTimersByTime(2000);
+    type('s');
+    jest.advanceTimersByTime(300);
+    type('sh');
+    jest.advanceTimersByTime(300);
+    type('shoes');
+    expect(eventsOfType('query_typed')).toHaveLength(0);
+
+    jest.advanceTimersByTime(1000);
+    expect(eventsOfType('query_typed')).toEqual([expect.objectContaining({
+      query: 'shoes',
+      timeToFirstKeystroke: 2000,
+      typingDuration: 600,
+      keystrokes: 3,
+      sessionId: collector.sessionId,
+    })]);
+  });
+
+  test('should report submitted queries with their timing', () => {
+    input.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+    jest.advanceTimersByTime(500);
+    type('shoes');
+    submit();
+    jest.advanceTimersByTime(5000);
+
+    expect(eventsOfType('query_typed')).toHaveLength(0);
+    expect(eventsOfType('query_submitted')).toEqual([expect.objectContaining({
+      query: 'shoes',
+      timeToFirstKeystroke: 500,
+      queryIndex: 1,
+      previousQuery: null,
+      editType: null,
+    })]);
+  });
+
+  test('should submit search boxes outside a form with Enter', () => {
+    document.body.innerHTML = '<input name="q">';
+    input = document.querySelector('input');
+    type('shoes');
+    input.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true, key: 'Enter' }));
+
+    expect(eventsOfType('query_submitted')).toEqual([expect.objectContaining({ query: 'shoes' })]);
+  });
+
+  test('should report cleared queries', () => {
+    type('shoes');
+    type('');
+    expect(eventsOfType('query_cleared')).toEqual([expect.objectContaining({ query: 'shoes', keystrokes: 1 })]);
+  });
+
+  test('should link consecutive queries into a reformulation chain', () => {
+    type('shoes');
+    submit();
+    type('running shoes');
+    submit();
+    type('running');
+    submit();
+    type('boots');
+    submit();
+
+    expect(eventsOfType('query_submitted').map(({ queryIndex, previousQuery, editType }) => (
+      { queryIndex, previousQuery, editType }
+    ))).toEqual([
+      { queryIndex: 1, previousQuery: null, editType: null },
+      { queryIndex: 2, previousQuery: 'shoes', editType: 'refine' },
+      { queryIndex: 3, previousQuery: 'running shoes', editType: 'broaden' },
+      { queryIndex: 4, previousQuery: 'running', editType: 'replace' },
+    ]);
+  });
+
+  test('should keep the chain across page loads of the same session', () => {
+    type('shoes');
+    submit();
+    collector.destroy();
+    createCollector();
+
+    type('red shoes');
+    submit();
+    expect(eventsOfType('query_submitted')[0]).toMatchObject({ queryIndex: 2, previousQuery: 'shoes', editType: 'refine' });
+  });
+
+  test('should start a new chain in a new session', () => {
+    type('shoes');
+    submit();
+    collector.resetSession();
+
+    type('boots');
+    submit();
+    expect(eventsOfType('query_submitted')[1]).toMatchObject({ queryIndex: 1, previousQuery: null });
+  });
+});
@@ -0,0 +1,186 @@
+const SearchBehaviorAnalysisCollector = require('../src/tracker');
+
+describe('Sliding Sessions', () => {
+  let collector;
+
+  const MINUTE = 60 * 1000;
+
+  // Events may have been sent already when timers advance
+  const trackedEvents = () => [
+    ...fetch.mock.calls.flatMap(([, options]) => JSON.parse(options.body).events || []),
+    ...collector.events,
+  ];
+  const sessionEvents = () => trackedEvents().filter(event => event.type.startsWith('session_'));
+
+  const createCollector = (config = {}) => {
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false, batchSize: 100, ...config });
+    return collector;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-01T12:00:00Z'));
+    localStorage.clear();
+    sessionStorage.clear();
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+  });
+
+  afterEach(() => {
+    collector.destroy();
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should emit session_start for a new session', () => {
+    createCollector();
+
+    expect(collector.events).toEqual([{
+      type: 'session_start',
+      sessionId: collector.sessionId,
+      timestamp: '2024-01-01T12:00:00.000Z',
+    }]);
+    expect(localStorage.getItem('tracker_session_start')).toBe('2024-01-01T12:00:00.000Z');
+  });
+
+  test('should send session_start right away with a batch size of one', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    createCollector({ batchSize: 1 });
+    await Promise.resolve();
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toMatchObject({
+      events: [{ type: 'session_start', sessionId: collector.sessionId }],
+      browserInfo: expect.objectContaining({ userAgent: navigator.userAgent }),
+    });
+    expect(collector.retryQueue.items).toHaveLength(0);
+    expect(errorSpy).not.toHaveBeenCalled();
+  });
+
+  test('should keep the session of an active user beyond the timeout', () => {
+    createCollector();
+    const sessionId = collector.sessionId;
+
+    for (let i = 0; i < 4; i++) {
+      jest.advanceTimersByTime(20 * MINUTE);
+      collector.trackEvent('still_here');
+    }
+
+    expect(collector.sessionId).toBe(sessionId);
+    expect(sessionEvents()).toHaveLength(1);
+    expect(trackedEvents().filter(event => event.name === 'still_here')
+      .every(event => event.sessionId === sessionId)).toBe(true);
+  });
+
+  test('should refresh the session on user interaction', () => {
+    createCollector();
+    const sessionId = collector.sessionId;
+
+    for (let i = 0; i < 4; i++) {
+      jest.advanceTimersByTime(20 * MINUTE);
+      window.dispatchEvent(new Event('scroll'));
+    }
+
+    expect(collector.sessionId).toBe(sessionId);
+    expect(localStorage.getItem('tracker_session_timestamp')).toBe('2024-01-01T13:20:00.000Z');
+  });
+
+  test('should end an idle session and start the next one on activity', () => {
+    createCollector();
+    const sessionId = collector.sessionId;
+    jest.advanceTimersByTime(5 * MINUTE);
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'a', bubbles: true }));
+
+    jest.advanceTimersByTime(2 * 60 * MINUTE);
+
+    // An idle tab does not open new sessions
+    expect(sessionEvents()).toEqual([
+      expect.objectContaining({ type: 'session_start', sessionId }),
+      expect.objectContaining({ type: 'session_end', sessionId, reason: 'inactivity', duration: 5 * MINUTE }),
+    ]);
+    expect(collector.sessionId).toBeNull();
+    expect(localStorage.getItem('tracker_session_id')).toBeNull();
+
+    collector.trackEvent('back_again');
+
+    const newSessionId = collector.sessionId;
+    expect(newSessionId).toEqual(expect.any(String));
+    expect(newSessionId).not.toBe(sessionId);
+    expect(collector.events.slice(-2)).toEqual([
+      expect.objectContaining({ type: 'session_start', sessionId: newSessionId }),
+      expect.objectContaining({ name: 'back_again', sessionId: newSessionId }),
+    ]);
+  });
+
+  test('should end a session that expired while no tab was open', () => {
+    localStorage.setItem('tracker_session_id', 'old-session');
+    localStorage.setItem('tracker_session_start', '2024-01-01T10:00:00.000Z');
+    localStorage.setItem('tracker_session_timestamp', '2024-01-01T10:10:00.000Z');
+    createCollector();
+
+    expect(collector.events).toEqual([
+      expect.objectContaining({ type: 'session_end', sessionId: 'old-session', reason: 'inactivity', duration: 10 * MINUTE }),
+      expect.objectContaining({ type: 'session_start', sessionId: collector.sessionId }),
+    ]);
+  });
+
+  test('should end sessions at the maximum duration', () => {
+    createCollector({ maxSessionDuration: 60 * MINUTE });
+    const sessionId = collector.sessionId;
+
+    for (let i = 0; i < 7; i++) {
+      jest.advanceTimersByTime(10 * MINUTE);
+      collector.trackEvent('still_here');
+    }
+
+    expect(sessionEvents()).toEqual([
+      expect.objectContaining({ type: 'session_start', sessionId }),
+      expect.objectContaining({ type: 'session_end', sessionId, reason: 'max_duration', duration: 50 * MINUTE }),
+      expect.objectContaining({ type: 'session_start', sessionId: collector.sessionId }),
+    ]);
+    expect(trackedEvents().filter(event => event.name === 'still_here').at(-1).sessionId).toBe(collector.sessionId);
+  });
+
+  test('should end sessions at midnight in the configured timezone', () => {
+    jest.setSystemTime(new Date('2024-01-01T22:55:00Z'));
+    createCollector({ sessionEndsAtMidnight: true, sessionTimezone: 'Europe/Berlin' });
+    const sessionId = collector.sessionId;
+
+    jest.advanceTimersByTime(3 * MINUTE);
+    collector.trackEvent('before_midnight');
+    jest.advanceTimersByTime(3 * MINUTE);
+
+    expect(collector.sessionId).toBeNull();
+    expect(sessionEvents()).toContainEqual(
+      expect.objectContaining({ type: 'session_end', sessionId, reason: 'midnight' })
+    );
+  });
+
+  test('should fall back to the browser timezone for invalid timezones', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    createCollector({ sessionEndsAtMidnight: true, sessionTimezone: 'Not/AZone' });
+
+    expect(collector.getSessionDay(Date.now())).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    expect(collector.config.sessionTimezone).toBeNull();
+    expect(warn).toHaveBeenCalledWith('Invalid session timezone, using the browser timezone:', expect.any(RangeError));
+  });
+
+  test('should end the session with the reset reason', () => {
+    createCollector();
+    const sessionId = collector.sessionId;
+    collector.resetSession();
+
+    expect(collector.sessionId).not.toBe(sessionId);
+    expect(sessionEvents().slice(1)).toEqual([
+      expect.objectContaining({ type: 'session_end', sessionId, reason: 'reset' }),
+      expect.objectContaining({ type: 'session_start', sessionId: collector.sessionId }),
+    ]);
+  });
+
+  test('should leave sessions injected from the backend alone', () => {
+    createCollector({ sessionId: 'backend-session' });
+    jest.advanceTimersByTime(2 * 60 * MINUTE);
+
+    expect(collector.sessionId).toBe('backend-session');
+    expect(sessionEvents()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,144 @@
+const SearchBehaviorAnalysisCollector = require('../src/tracker');
+
+describe('Suggestion Tracking', () => {
+  let collector;
+  let input;
+
+  // Mutation observer callbacks run as microtasks
+  const flushMutations = () => Promise.resolve();
+
+  const showSuggestions = async (suggestions, attributes = '') => {
+    document.querySelector('#typeahead').innerHTML = `
+      <ul ${attributes}>
+        ${suggestions.map(text => `<li class="suggestion">${text}</li>`).join('')}
+      </ul>
+    `;
+    await flushMutations();
+  };
+
+  const eventsOfType = (type) => collector.events.filter(event => event.type === type);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    sessionStorage.clear();
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    document.body.innerHTML = '<form><input name="q"></form><div id="typeahead"></div>';
+    input = document.querySelector('input');
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      pageViewTrackingEnabled: false,
+      searchInputSelector: 'input[name="q"]',
+      suggestionSelector: '.suggestion',
+      batchSize: 100,
+    });
+    input.value = 'sho';
+  });
+
+  afterEach(() => {
+    collector.destroy();
+    document.body.innerHTML = '';
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should record the suggestions shown for a prefix', async () => {
+    await showSuggestions(['shoes', 'shorts', 'shower gel']);
+
+    expect(eventsOfType('suggestions_shown')).toEqual([expect.objectContaining({
+      suggestionRequestId: expect.any(String),
+      prefix: 'sho',
+      suggestions: ['shoes', 'shorts', 'shower gel'],
+      sessionId: collector.sessionId,
+    })]);
+  });
+
+  test('should record lists rendered after being created in the head', async () => {
+    collector.destroy();
+    const body = document.body;
+    body.remove();
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      pageViewTrackingEnabled: false,
+      suggestionSelector: '.suggestion',
+      batchSize: 100,
+    });
+
+    body.innerHTML = '<ul><li class="suggestion">shoes</li></ul>';
+    document.documentElement.appendChild(body);
+    await flushMutations();
+    expect(eventsOfType('suggestions_shown')).toEqual([expect.objectContaining({ suggestions: ['shoes'] })]);
+  });
+
+  test('should use the request id and prefix from the list attributes', async () => {
+    await showSuggestions(['shoes'], 'data-suggestion-request-id="suggest-1" data-suggestion-prefix="sh"');
+    await showSuggestions(['shoes'], 'data-suggestion-request-id="suggest-1" data-suggestion-prefix="sh"');
+
+    expect(eventsOfType('suggestions_shown')).toEqual([
+      expect.objectContaining({ suggestionRequestId: 'suggest-1', prefix: 'sh' }),
+    ]);
+  });
+
+  test('should give every new list its own request id', async () => {
+    await showSuggestions(['shoes']);
+    input.value = 'shoe';
+    await showSuggestions(['shoes', 'shoe polish']);
+
+    const [first, second] = eventsOfType('suggestions_shown');
+    expect(second.prefix).toBe('shoe');
+    expect(second.suggestionRequestId).not.toBe(first.suggestionRequestId);
+  });
+
+  test('should record the selected suggestion and its position', async () => {
+    await showSuggestions(['shoes', 'shorts']);
+    const { suggestionRequestId } = eventsOfType('suggestions_shown')[0];
+    document.querySelectorAll('.suggestion')[1].dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+    expect(eventsOfType('suggestion_selected')).toEqual([expect.objectContaining({
+      suggestionRequestId,
+      prefix: 'sho',
+      suggestion: 'shorts',
+      position: 2,
+    })]);
+    expect(eventsOfType('suggestions_shown')[0].searchRequestId).toBeUndefined();
+  });
+
+  test('should record suggestions selected with the keyboard', async () => {
+    await showSuggestions(['shoes', 'shorts']);
+    document.querySelectorAll('.suggestion')[0].setAttribute('aria-selected', 'true');
+    input.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true, key: 'Enter' }));
+    input.form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+
+    expect(eventsOfType('suggestion_selected')).toEqual([expect.objectContaining({ suggestion: 'shoes', position: 1 })]);
+    expect(eventsOfType('suggestions_ignored')).toHaveLength(0);
+  });
+
+  test('should record suggestions ignored for a query of their own', async () => {
+    await showSuggestions(['shoes', 'shorts']);
+    input.value = 'shoelaces';
+    input.form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+
+    expect(eventsOfType('suggestions_ignored')).toEqual([expect.objectContaining({
+      suggestionRequestId: eventsOfType('suggestions_shown')[0].suggestionRequestId,
+      prefix: 'sho',
+      query: 'shoelaces',
+    })]);
+  });
+
+  test('should record ignored suggestions for searches tracked with trackSearch', async () => {
+    await showSuggestions(['shoes']);
+    collector.trackSearch({ query: 'shoelaces' });
+    collector.trackSearch({ query: 'boots' });
+
+    expect(eventsOfType('suggestions_ignored')).toHaveLength(1);
+  });
+
+  test('should be opt-in', async () => {
+    collector.destroy();
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false });
+    await showSuggestions(['shoes']);
+    document.querySelector('.suggestion').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+    expect(collector.events).toHaveLength(0);
+  });
+});
@@ -0,0 +1,176 @@
+const SearchBehaviorAnalysisCollector = require('../src/tracker');
+
+// In-memory BroadcastChannel connecting the collectors of one test like separate tabs
+class FakeBroadcastChannel {
+  static channels = [];
+
+  constructor(name) {
+    this.name = name;
+    FakeBroadcastChannel.channels.push(this);
+  }
+
+  postMessage(data) {
+    FakeBroadcastChannel.channels
+      .filter(channel => channel !== this && channel.name === this.name)
+      .forEach(channel => channel.onmessage?.({ data: JSON.parse(JSON.stringify(data)) }));
+  }
+
+  close() {
+    FakeBroadcastChannel.channels = FakeBroadcastChannel.channels.filter(channel => channel !== this);
+  }
+}
+
+describe('Cross-Tab Synchronization', () => {
+  let collectors;
+
+  const createCollector = (config = {}) => {
+    const collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false, ...config });
+    collectors.push(collector);
+    return collector;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    sessionStorage.clear();
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    collectors = [];
+  });
+
+  afterEach(() => {
+    collectors.forEach(collector => collector.destroy());
+    delete global.BroadcastChannel;
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  describe('with BroadcastChannel', () => {
+    beforeEach(() => {
+      global.BroadcastChannel = FakeBroadcastChannel;
+    });
+
+    test('should move other tabs to the new session after a conversion', () => {
+      const tabA = createCollector();
+      const tabB = createCollector();
+      const oldSessionId = tabA.sessionId;
+      expect(tabB.sessionId).toBe(oldSessionId);
+
+      tabA.trackConversion({ orderId: 'order-1' });
+      tabB.trackEvent('test_event');
+
+      expect(tabA.sessionId).not.toBe(oldSessionId);
+      expect(tabB.sessionId).toBe(tabA.sessionId);
+      expect(tabB.events[0].sessionId).toBe(tabA.sessionId);
+    });
+
+    test('should agree on the stored session when tabs reset at the same time', () => {
+      const tabA = createCollector();
+      const tabB = createCollector();
+      // Both tabs reset before the other one's message arrives
+      const post = jest.spyOn(tabA.tabSync, 'post').mockImplementation(() => {});
+      tabA.resetSession();
+      post.mockRestore();
+      tabB.resetSession();
+
+      expect(tabA.sessionId).toBe(tabB.sessionId);
+      expect(localStorage.getItem('tracker_session_id')).toBe(tabB.sessionId);
+    });
+
+    test('should share search request ID updates', () => {
+      const tabA = createCollector();
+      const tabB = createCollector();
+
+      tabA.trackSearch({ searchRequestId: 'search-1', query: 'shoes' });
+
+      expect(tabB.config.searchRequestId).toBe('search-1');
+      // The search is watched for abandonment in the tab that made it only
+      expect(tabB._pendingSearch).toBeNull();
+    });
+
+    test('should share consent decisions', () => {
+      const tabA = createCollector({ requireConsent: true });
+      const tabB = createCollector({ requireConsent: true });
+      tabB.trackEvent('test_event');
+
+      tabA.setConsent({ analytics: true, performance: false });
+
+      expect(tabB.consent).toEqual({ analytics: true, performance: false });
+      expect(tabB.sessionId).toBe(tabA.sessionId);
+      const payloads = fetch.mock.calls.map(([, options]) => JSON.parse(options.body));
+      const bufferedPayload = payloads.find(payload => payload.events.some(event => event.name === 'test_event'));
+      expect(bufferedPayload.sessionId).toBe(tabA.sessionId);
+
+      tabA.optOut();
+      expect(tabB.consent).toEqual({ analytics: false, performance: false });
+      expect(tabB.sessionId).toBeNull();
+    });
+
+    test('should not sync when disabled', () => {
+      const tabA = createCollector({ tabSyncEnabled: false });
+      const tabB = createCollector();
+      const oldSessionId = tabB.sessionId;
+
+      tabA.resetSession();
+
+      expect(tabA.tabSync).toBeUndefined();
+      expect(tabB.sessionId).toBe(oldSessionId);
+    });
+
+    test('should close the channel on destroy', () => {
+      const collector = createCollector();
+      expect(FakeBroadcastChannel.channels).toHaveLength(1);
+      collector.destroy();
+      expect(FakeBroadcastChannel.channels).toHaveLength(0);
+    });
+  });
+
+  describe('with the storage event fallback', () => {
+    // jsdom does not fire storage events in the tab that wrote the key, other tabs are simulated
+    const receiveFromOtherTab = (type, data) => {
+      window.dispatchEvent(new StorageEvent('storage', {
+        key: 'tracker_tab_sync',
+        newValue: JSON.stringify({ type, data }),
+      }));
+    };
+
+    test('should post messages through a transient storage key', () => {
+      const collector = createCollector();
+      jest.spyOn(Storage.prototype, 'setItem');
+
+      collector.updateSearchRequestId('search-1');
+
+      expect(Storage.prototype.setItem).toHaveBeenCalledWith(
+        'tracker_tab_sync',
+        JSON.stringify({ type: 'searchRequestId', data: 'search-1' })
+      );
+      expect(localStorage.getItem('tracker_tab_sync')).toBeNull();
+    });
+
+    test('should apply messages from other tabs', () => {
+      const collector = createCollector();
+      localStorage.setItem('tracker_session_id', 'session-from-other-tab');
+      localStorage.setItem('tracker_session_timestamp', new Date().toISOString());
+
+      receiveFromOtherTab('session');
+      receiveFromOtherTab('searchRequestId', 'search-2');
+      receiveFromOtherTab('consent', { analytics: true, performance: false });
+
+      expect(collector.sessionId).toBe('session-from-other-tab');
+      expect(collector.config.searchRequestId).toBe('search-2');
+      expect(collector.consent).toEqual({ analytics: true, performance: false });
+    });
+
+    test('should ignore unrelated and malformed storage events', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const collector = createCollector();
+      const sessionId = collector.sessionId;
+
+      window.dispatchEvent(new StorageEvent('storage', { key: 'other', newValue: '{"type":"session"}' }));
+      window.dispatchEvent(new StorageEvent('storage', { key: 'tracker_tab_sync', newValue: null }));
+      window.dispatchEvent(new StorageEvent('storage', { key: 'tracker_tab_sync', newValue: '{' }));
+
+      expect(collector.sessionId).toBe(sessionId);
+      expect(warn).toHaveBeenCalledWith('Ignoring malformed tab sync message:', expect.any(Error));
+    });
+  });
+});
@@ -34,7 +34,11 @@ describe('SearchBehaviorAnalysisCollector', () => {
     global.navigator.sendBeacon = mockSendBeacon;
 
     // Mock localStorage with proper implementation
-    const storage = {};
+    // An ongoing session, a new one would queue a session_start event first
+    const storage = {
+      tracker_session_id: 'session-1',
+      tracker_session_timestamp: new Date().toISOString(),
+    };
     mockLocalStorage = {
       getItem: jest.fn((key) => storage[key]),
       setItem: jest.fn((key, value) => {
@@ -115,6 +119,7 @@ describe('SearchBehaviorAnalysisCollector', () => {
 
     // Reset DOM
     document.body.innerHTML = '';
+    sessionStorage.clear();
   });
 
   afterEach(() => {
@@ -210,7 +215,7 @@ describe('SearchBehaviorAnalysisCollector', () => {
 
   describe('Event Tracking', () => {
     beforeEach(() => {
-      collector = new SearchBehaviorAnalysisCollector();
+      collector = new SearchBehaviorAnalysisCollector({ pageViewTrackingEnabled: false });
     });
 
     test('should track click events', () => {
@@ -244,7 +249,8 @@ describe('SearchBehaviorAnalysisCollector', () => {
       const itemId = 'test-item';
       const searchRequestId = 'global-search-id';
       collector = new SearchBehaviorAnalysisCollector({
-        searchRequestId: searchRequestId
+        searchRequestId: searchRequestId,
+        pageViewTrackingEnabled: false
       });
 
       document.body.innerHTML = `
@@ -264,7 +270,7 @@ describe('SearchBehaviorAnalysisCollector', () => {
     });
 
     test('should not track click events on elements without data-item-id', () => {
-      collector = new SearchBehaviorAnalysisCollector();
+      collector = new SearchBehaviorAnalysisCollector({ pageViewTrackingEnabled: false });
 
       document.body.innerHTML = `
         <div class="trackable-item">
@@ -284,7 +290,7 @@ describe('SearchBehaviorAnalysisCollector', () => {
     });
 
     test('should not track click events on non-trackable elements', () => {
-      collector = new SearchBehaviorAnalysisCollector();
+      collector = new SearchBehaviorAnalysisCollector({ pageViewTrackingEnabled: false });
 
       document.body.innerHTML = `
         <div class="non-trackable" data-item-id="123">
@@ -303,7 +309,8 @@ describe('SearchBehaviorAnalysisCollector', () => {
       expect(collector.events.length).toBe(0);
     });
 
-    test('should track visibility changes', () => {
+    test('should track visibility changes and send events when hidden', () => {
+      const spy = jest.spyOn(collector, 'sendEvents').mockResolvedValue();
       mockVisibilityState = 'hidden';
       document.dispatchEvent(new Event('visibilitychange'));
       expect(collector.events.length).toBe(1);
@@ -312,6 +319,7 @@ describe('SearchBehaviorAnalysisCollector', () => {
         name: 'visibility_change',
         data: { state: 'hidden' }
       });
+      expect(spy).toHaveBeenCalledWith(true);
     });
 
     test('should track custom events', () => {
@@ -337,12 +345,14 @@ describe('SearchBehaviorAnalysisCollector', () => {
 
       collector.trackConversion(conversionData);
 
-      expect(collector.events.length).toBe(1);
+      expect(collector.events.length).toBe(3);
       expect(collector.events[0]).toMatchObject({
         type: 'custom_event',
         name: 'conversion',
         data: conversionData,
       });
+      expect(collector.events[1]).toMatchObject({ type: 'session_end', sessionId: 'session-1', reason: 'conversion' });
+      expect(collector.events[2]).toMatchObject({ type: 'session_start', sessionId: collector.sessionId });
       expect(mockLocalStorage.removeItem).toHaveBeenCalledWith('tracker_session_id');
     });
   });
@@ -387,12 +397,15 @@ describe('SearchBehaviorAnalysisCollector', () => {
 
     test('should handle failed requests', async () => {
       mockFetch.mockResolvedValueOnce({ ok: false });
+      collector.config.batchSize = 10;
       collector.events = [];
       collector.trackEvent('test_event', { test: 'data' });
       collector.trackEvent('test_event2', { test: 'data2' });
       await collector.sendEvents();
-      // Both events should be re-queued (not 4)
-      expect(collector.events.length).toBeGreaterThanOrEqual(2);
+      // The failed batch moves to the retry queue with both events
+      expect(collector.events.length).toBe(0);
+      expect(collector.retryQueue.items).toHaveLength(1);
+      expect(collector.retryQueue.items[0].data.events).toHaveLength(2);
     });
 
     test('should batch events when reaching batch size', async () => {
@@ -418,6 +431,12 @@ describe('SearchBehaviorAnalysisCollector', () => {
       collector.performanceMetrics = [];
     });
 
+    // LCP, CLS and INP are reported with their final values once the page is hidden
+    const hidePage = () => {
+      mockVisibilityState = 'hidden';
+      document.dispatchEvent(new Event('visibilitychange'));
+    };
+
     test('should track LCP metric', () => {
       const observer = mockPerformanceObserver.mock.results[0].value;
       observer.callback({
@@ -428,6 +447,7 @@ describe('SearchBehaviorAnalysisCollector', () => {
           url: 'https://test.com/image.jpg',
         }],
       });
+      hidePage();
       expect(collector.performanceMetrics.length).toBeGreaterThanOrEqual(1);
       expect(collector.performanceMetrics[0]).toMatchObject({
         type: 'LCP',
@@ -448,6 +468,7 @@ describe('SearchBehaviorAnalysisCollector', () => {
           url: 'https://test.com/image2.jpg',
         }],
       });
+      hidePage();
       expect(collector.performanceMetrics.length).toBeGreaterThanOrEqual(1);
       const lcpMetric = collector.performanceMetrics.find(m => m.value === 1200);
       expect(lcpMetric).toMatchObject({
@@ -473,20 +494,21 @@ describe('SearchBehaviorAnalysisCollector', () => {
       });
     });
 
-    test('should track FID metric', () => {
+    test('should track INP metric', () => {
       const observer = mockPerformanceObserver.mock.results[2].value;
       observer.callback({
-        getEntries: () => [{
-          processingStart: 1000,
-          startTime: 800,
-          name: 'click',
-        }],
+        getEntries: () => [
+          { interactionId: 1, duration: 40, startTime: 800, name: 'pointerdown' },
+          { interactionId: 1, duration: 200, startTime: 800, name: 'click' },
+          { interactionId: 0, duration: 500, startTime: 900, name: 'mouseover' }, // Not an interaction
+        ],
       });
-      expect(collector.performanceMetrics.length).toBeGreaterThanOrEqual(1);
-      expect(collector.performanceMetrics[0]).toMatchObject({
-        type: 'FID',
+      hidePage();
+      const inpMetric = collector.performanceMetrics.find(m => m.type === 'INP');
+      expect(inpMetric).toMatchObject({
+        type: 'INP',
         value: 200,
-        name: 'click',
+        eventType: 'click',
       });
     });
 
@@ -498,8 +520,9 @@ describe('SearchBehaviorAnalysisCollector', () => {
           hadRecentInput: false,
         }],
       });
+      hidePage();
       expect(collector.performanceMetrics.length).toBeGreaterThanOrEqual(1);
-      expect(collector.performanceMetrics[0]).toMatchObject({
+      expect(collector.performanceMetrics.find(m => m.type === 'CLS')).toMatchObject({
         type: 'CLS',
         value: 0.1,
       });
@@ -513,6 +536,7 @@ describe('SearchBehaviorAnalysisCollector', () => {
           { value: 0.05, hadRecentInput: false }, // Should be counted
         ],
       });
+      hidePage();
       expect(collector.performanceMetrics.length).toBeGreaterThanOrEqual(1);
       const clsMetric = collector.performanceMetrics.find(m => m.type === 'CLS');
       expect(clsMetric.value).toBe(0.05); // Only the entry without recent input
@@ -566,6 +590,9 @@ describe('SearchBehaviorAnalysisCollector', () => {
         type: 'LCP',
         value: 1000,
       });
+      // Metrics are batched like events
+      expect(spy).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(10000);
       expect(spy).toHaveBeenCalled();
       spy.mockRestore();
     });
@@ -595,10 +622,10 @@ describe('SearchBehaviorAnalysisCollector', () => {
       global.navigator.sendBeacon = jest.fn().mockReturnValue(false);
       const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
       await collector.sendEvents(true);
-      // Filter out navigation events if present
-      const nonNavEvents = collector.events.filter(e => e.type !== 'NAVIGATION');
-      expect(nonNavEvents.length).toBe(2); // Both should be re-queued
-      expect(nonNavEvents.every(e => e.type === 'custom_event' && e.name === 'foo')).toBe(true);
+      // The failed batch should be queued for retry
+      const queuedEvents = collector.retryQueue.items.flatMap(item => item.data.events);
+      expect(queuedEvents.length).toBe(1);
+      expect(queuedEvents.every(e => e.type === 'custom_event' && e.name === 'foo')).toBe(true);
       expect(spy).toHaveBeenCalledWith(expect.stringContaining('Error sending events:'), expect.any(Error));
       spy.mockRestore();
     });
@@ -850,16 +877,16 @@ describe('SearchBehaviorAnalysisCollector', () => {
       collector.performanceMetrics = [{ type: 'LCP', value: 123 }];
       global.fetch = jest.fn().mockResolvedValue({ ok: false });
       await collector.sendPerformanceMetrics();
-      const nonNavMetrics = collector.performanceMetrics.filter(m => m.type !== 'NAVIGATION');
-      expect(nonNavMetrics.length).toBe(2); // Both should be re-queued in the edge case
-      expect(nonNavMetrics.every(m => m.type === 'LCP' && m.value === 123)).toBe(true);
+      const queuedMetrics = collector.retryQueue.items.flatMap(item => item.data.performanceMetrics);
+      expect(queuedMetrics.length).toBe(1); // Queued for retry once
+      expect(queuedMetrics.every(m => m.type === 'LCP' && m.value === 123)).toBe(true);
     });
 
     test('sendPerformanceMetrics handles thrown fetch', async () => {
       collector.performanceMetrics = [{ type: 'LCP', value: 123 }];
       global.fetch = jest.fn().mockRejectedValue(new Error('fail'));
       await collector.sendPerformanceMetrics();
-      expect(collector.performanceMetrics.length).toBe(1); // Should be re-queued
+      expect(collector.retryQueue.items.length).toBe(1); // Should be queued for retry
     });
 
     test('sendEvents returns early if no events', async () => {
@@ -874,10 +901,10 @@ describe('SearchBehaviorAnalysisCollector', () => {
       global.navigator.sendBeacon = jest.fn().mockReturnValue(false);
       const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
       await collector.sendEvents(true);
-      // Filter out navigation events if present
-      const nonNavEvents = collector.events.filter(e => e.type !== 'NAVIGATION');
-      expect(nonNavEvents.length).toBe(2); // Both should be re-queued
-      expect(nonNavEvents.every(e => e.type === 'custom_event' && e.name === 'foo')).toBe(true);
+      // The failed batch should be queued for retry
+      const queuedEvents = collector.retryQueue.items.flatMap(item => item.data.events);
+      expect(queuedEvents.length).toBe(1);
+      expect(queuedEvents.every(e => e.type === 'custom_event' && e.name === 'foo')).toBe(true);
       expect(spy).toHaveBeenCalledWith(expect.stringContaining('Error sending events:'), expect.any(Error));
       spy.mockRestore();
     });
@@ -914,6 +941,10 @@ describe('SearchBehaviorAnalysisCollector', () => {
   });
 
   describe('Error handling edge cases', () => {
+    beforeEach(() => {
+      collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false });
+    });
+
     test('sendEvents handles fetch error with empty events array', async () => {
       collector.events = [];
       global.fetch = jest.fn().mockRejectedValue(new Error('Network error'));
@@ -931,8 +962,8 @@ describe('SearchBehaviorAnalysisCollector', () => {
       const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
       await collector.sendEvents();
       expect(spy).toHaveBeenCalledWith(expect.stringContaining('Error sending events:'), expect.any(Error));
-      expect(collector.events).toHaveLength(1);
-      expect(collector.events[0].type).toBe('NAVIGATION');
+      expect(collector.retryQueue.items).toHaveLength(1);
+      expect(collector.retryQueue.items[0].data.events[0].type).toBe('NAVIGATION');
       spy.mockRestore();
     });
 
@@ -953,8 +984,8 @@ describe('SearchBehaviorAnalysisCollector', () => {
       const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
       await collector.sendPerformanceMetrics();
       expect(spy).toHaveBeenCalledWith(expect.stringContaining('Error sending performance metrics:'), expect.any(Error));
-      expect(collector.performanceMetrics).toHaveLength(1);
-      expect(collector.performanceMetrics[0].type).toBe('NAVIGATION');
+      expect(collector.retryQueue.items).toHaveLength(1);
+      expect(collector.retryQueue.items[0].data.performanceMetrics[0].type).toBe('NAVIGATION');
       spy.mockRestore();
     });
 
@@ -976,9 +1007,10 @@ describe('SearchBehaviorAnalysisCollector', () => {
       const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
       await collector.sendEvents();
       expect(spy).toHaveBeenCalledWith(expect.stringContaining('Error sending events:'), expect.any(Error));
-      // Event is re-queued
-      expect(collector.events).toHaveLength(2);
-      expect(collector.events.every(e => e.type === 'custom_event')).toBe(true);
+      // Batch is queued for retry
+      expect(collector.events).toHaveLength(0);
+      expect(collector.retryQueue.items).toHaveLength(1);
+      expect(collector.retryQueue.items[0].data.events.every(e => e.type === 'custom_event')).toBe(true);
       spy.mockRestore();
     });
 
@@ -992,9 +1024,10 @@ describe('SearchBehaviorAnalysisCollector', () => {
       const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
       await collector.sendPerformanceMetrics();
       expect(spy).toHaveBeenCalledWith(expect.stringContaining('Error sending performance metrics:'), expect.any(Error));
-      // Metric is re-queued
-      expect(collector.performanceMetrics).toHaveLength(2);
-      expect(collector.performanceMetrics.every(m => m.type === 'LCP')).toBe(true);
+      // Batch is queued for retry
+      expect(collector.performanceMetrics).toHaveLength(0);
+      expect(collector.retryQueue.items).toHaveLength(1);
+      expect(collector.retryQueue.items[0].data.performanceMetrics.every(m => m.type === 'LCP')).toBe(true);
       spy.mockRestore();
     });
   });
@@ -1048,7 +1081,7 @@ describe('SearchBehaviorAnalysisCollector', () => {
       }
     });
 
-    test('should send events on beforeunload', () => {
+    test('should send events on pagehide', () => {
       collector = new SearchBehaviorAnalysisCollector({
         performanceMetricsEnabled: false,
       });
@@ -1056,11 +1089,22 @@ describe('SearchBehaviorAnalysisCollector', () => {
       
       const spy = jest.spyOn(collector, 'sendEvents');
       
-      // Trigger beforeunload event
-      window.dispatchEvent(new Event('beforeunload'));
+      // Trigger pagehide event
+      window.dispatchEvent(new Event('pagehide'));
       
       expect(spy).toHaveBeenCalledWith(true);
     });
+
+    test('should not listen for beforeunload, which blocks the back/forward cache', () => {
+      const addEventListener = jest.spyOn(window, 'addEventListener');
+      collector = new SearchBehaviorAnalysisCollector({
+        performanceMetricsEnabled: false,
+      });
+      const types = addEventListener.mock.calls.map(([type]) => type);
+      expect(types).toContain('pagehide');
+      expect(types).not.toContain('beforeunload');
+      expect(types).not.toContain('unload');
+    });
   });
 
   describe('Click Batch Processing', () => {
@@ -1074,6 +1118,7 @@ describe('SearchBehaviorAnalysisCollector', () => {
       collector = new SearchBehaviorAnalysisCollector({
         batchSize: 2,
         performanceMetricsEnabled: false,
+        pageViewTrackingEnabled: false,
       });
       
       document.body.innerHTML = `
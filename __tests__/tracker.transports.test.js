@@ -0,0 +1,189 @@
+const SearchBehaviorAnalysisCollector = require('../src/tracker');
+
+describe('Transports', () => {
+  let collector;
+
+  const createCollector = (config = {}) => {
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      pageViewTrackingEnabled: false,
+      persistentQueueEnabled: false,
+      batchSize: 1000,
+      ...config,
+    });
+    return collector;
+  };
+
+  const customTransport = (extra = {}) => ({ send: jest.fn().mockResolvedValue(), ...extra });
+
+  const hidePage = () => {
+    Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+    document.dispatchEvent(new Event('visibilitychange'));
+    Object.defineProperty(document, 'visibilityState', { value: 'visible', configurable: true });
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    sessionStorage.clear();
+    // An ongoing session, a new one would queue a session_start event first
+    localStorage.setItem('tracker_session_id', 'session-1');
+    localStorage.setItem('tracker_session_timestamp', new Date().toISOString());
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    navigator.sendBeacon = jest.fn().mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    collector.destroy();
+    delete navigator.sendBeacon;
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should send batches through a custom transport', async () => {
+    const transport = customTransport();
+    createCollector({ transport });
+    collector.trackEvent('test_event');
+    await collector.sendEvents();
+
+    expect(transport.send).toHaveBeenCalledWith('/api/track', expect.any(String), { 'Content-Type': 'application/json' });
+    expect(JSON.parse(transport.send.mock.calls[0][1]).events[0].name).toBe('test_event');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('should use the built-in transport given by name', async () => {
+    createCollector({ transport: 'keepalive' });
+    collector.trackEvent('test_event');
+    await collector.sendEvents();
+
+    expect(fetch).toHaveBeenCalledWith('/api/track', expect.objectContaining({ keepalive: true }));
+  });
+
+  test('should fall back to the defaults for invalid transports', async () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    createCollector({ transport: 'carrier-pigeon', unloadTransport: {} });
+
+    expect(warnSpy).toHaveBeenCalledWith('Invalid transport, using fetch:', 'carrier-pigeon');
+    expect(warnSpy).toHaveBeenCalledWith('Invalid unloadTransport, using beacon:', {});
+    collector.trackEvent('test_event');
+    await collector.sendEvents();
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should flush through the unload transport when the page is hidden', () => {
+    const unloadTransport = customTransport();
+    createCollector({ unloadTransport });
+    collector.trackEvent('test_event');
+    hidePage();
+
+    const { events } = JSON.parse(unloadTransport.send.mock.calls[0][1]);
+    expect(events.map(event => event.name)).toEqual(['test_event', 'visibility_change']);
+    expect(collector.events).toHaveLength(0);
+  });
+
+  test('should flush on pagehide', () => {
+    createCollector();
+    collector.trackEvent('test_event');
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(navigator.sendBeacon).toHaveBeenCalledWith('/api/track', expect.any(Blob));
+  });
+
+  test('should use keepalive fetch for unloading without sendBeacon', () => {
+    delete navigator.sendBeacon;
+    createCollector();
+    collector.trackEvent('test_event');
+    hidePage();
+
+    expect(fetch).toHaveBeenCalledWith('/api/track', expect.objectContaining({ keepalive: true }));
+  });
+
+  test('should split batches to stay under the size limit of the transport', () => {
+    createCollector();
+    for (let index = 0; index < 200; index++) {
+      collector.trackEvent('test_event', { index, padding: 'x'.repeat(500) });
+    }
+    hidePage();
+
+    // The first chunk uses up the limit, the others wait for a retry
+    const blobs = navigator.sendBeacon.mock.calls.map(([, blob]) => blob);
+    expect(blobs).toHaveLength(1);
+    expect(blobs[0].size).toBeLessThanOrEqual(64 * 1024);
+    expect(collector.retryQueue.itemsFor('/api/track').length).toBeGreaterThan(0);
+  });
+
+  test('should share the size limit between endpoints until the page is visible again', async () => {
+    createCollector({ performanceMetricsEnabled: true, metricsBatchSize: 1000 });
+    const track = (from, to) => {
+      for (let index = from; index < to; index++) {
+        collector.trackEvent('test_event', { index, padding: 'x'.repeat(500) });
+      }
+    };
+    track(0, 30);
+    for (let index = 0; index < 30; index++) {
+      collector.trackPerformanceMetric({ type: 'RESOURCE', name: `https://cdn.example.com/${index}/${'x'.repeat(500)}` });
+    }
+    hidePage();
+    expect(navigator.sendBeacon.mock.calls.map(([url]) => url).sort()).toEqual(['/api/metrics', '/api/track']);
+
+    // Leaving the page right after would exceed the limit together with the batches sent before
+    track(30, 90);
+    window.dispatchEvent(new Event('pagehide'));
+    expect(navigator.sendBeacon).toHaveBeenCalledTimes(2);
+    const beaconBytes = navigator.sendBeacon.mock.calls.reduce((total, [, blob]) => total + blob.size, 0);
+    expect(beaconBytes).toBeLessThanOrEqual(64 * 1024);
+    expect(collector.retryQueue.has('/api/track')).toBe(true);
+
+    // The rest goes out through the regular transport
+    await jest.advanceTimersByTimeAsync(5000);
+    const indexes = fetch.mock.calls
+      .flatMap(([, options]) => JSON.parse(options.body).events)
+      .filter(event => event.name === 'test_event')
+      .map(event => event.data.index);
+    expect(indexes).toEqual(Array.from({ length: 60 }, (_, index) => index + 30));
+
+    // Beacons sent while hidden had time to complete once the page is visible again
+    document.dispatchEvent(new Event('visibilitychange'));
+    collector.trackEvent('test_event', { index: 90 });
+    hidePage();
+    expect(navigator.sendBeacon).toHaveBeenCalledTimes(3);
+  });
+
+  test('should report batches that cannot be serialized', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    createCollector();
+    const circular = {};
+    circular.self = circular;
+    collector.trackEvent('test_event', { circular });
+    collector.trackEvent('test_event', { count: BigInt(1) });
+
+    await expect(collector.sendEvents(true)).resolves.toBeUndefined();
+    expect(errorSpy).toHaveBeenCalledWith('Error sending events:', expect.any(TypeError));
+    expect(navigator.sendBeacon).not.toHaveBeenCalled();
+    expect(collector.retryQueue.items).toHaveLength(0);
+  });
+
+  test('should retry chunks that were not sent through the regular transport', async () => {
+    const transport = customTransport();
+    const unloadTransport = customTransport({
+      maxBodySize: 2000,
+      send: jest.fn().mockRejectedValue(new Error('Quota exceeded')),
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    createCollector({ transport, unloadTransport });
+    for (let index = 0; index < 10; index++) {
+      collector.trackEvent('test_event', { index, padding: 'x'.repeat(500) });
+    }
+    await collector.sendEvents(true);
+
+    // Only the first chunk fits into the limit, the others are not even tried
+    const queued = collector.retryQueue.itemsFor('/api/track');
+    expect(queued.length).toBeGreaterThan(1);
+    expect(unloadTransport.send).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(transport.send).toHaveBeenCalledTimes(queued.length);
+    const retried = transport.send.mock.calls.flatMap(([, body]) => JSON.parse(body).events);
+    expect(retried.map(event => event.data.index)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  });
+});
@@ -0,0 +1,101 @@
+const SearchBehaviorAnalysisCollector = require('../src/tracker');
+const schema = require('../src/schema');
+
+describe('Payload Validation', () => {
+  let collector;
+  let warnSpy;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    sessionStorage.clear();
+    // An ongoing session, a new one would queue a session_start event first
+    localStorage.setItem('tracker_session_id', 'session-1');
+    localStorage.setItem('tracker_session_timestamp', new Date().toISOString());
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    collector.destroy();
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should stamp the schema version on every batch', async () => {
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false });
+    collector.trackEvent('test_event');
+    await collector.sendEvents();
+    collector.trackPerformanceMetric({ type: 'LCP', value: 1000 });
+    await collector.sendPerformanceMetrics();
+
+    const bodies = fetch.mock.calls.map(call => JSON.parse(call[1].body));
+    expect(bodies.map(body => body.schemaVersion)).toEqual([schema.SCHEMA_VERSION, schema.SCHEMA_VERSION]);
+  });
+
+  test('should send payloads that match the schema', async () => {
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false, batchSize: 100 });
+    document.body.innerHTML = '<div class="trackable-item" data-item-id="item1">Item 1</div>';
+    collector.trackSearch({ query: 'shoes', page: 1, totalResults: 1, resultItemIds: ['item1'] });
+    document.querySelector('.trackable-item').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    collector.trackConversion({ orderId: 'ORDER123' });
+    await collector.sendEvents();
+    collector.trackPerformanceMetric({ type: 'LCP', value: 1000, element: 'IMG', size: 100, url: '' });
+    await collector.sendPerformanceMetrics();
+
+    const [eventsPayload, metricsPayload] = fetch.mock.calls.map(call => JSON.parse(call[1].body));
+    expect(schema.validateEventPayload(eventsPayload).errors).toEqual([]);
+    expect(schema.validateMetricsPayload(metricsPayload).errors).toEqual([]);
+  });
+
+  test('should not validate by default', () => {
+    collector = new SearchBehaviorAnalysisCollector({ performanceMetricsEnabled: false, pageViewTrackingEnabled: false });
+    collector.trackEvent('test_event', 'not an object');
+    expect(collector.events).toHaveLength(1);
+    expect(warnSpy).not.toHaveBeenCalled();
+  });
+
+  test('should report invalid events and still queue them in report mode', () => {
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      pageViewTrackingEnabled: false,
+      validationMode: 'report',
+    });
+    collector.trackEvent('test_event', 'not an object');
+
+    expect(collector.events).toHaveLength(1);
+    expect(warnSpy).toHaveBeenCalledWith('Invalid custom_event event:', ['$.data: must be object']);
+  });
+
+  test('should drop invalid events in reject mode', () => {
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      pageViewTrackingEnabled: false,
+      validationMode: 'reject',
+    });
+    collector.trackEvent('', {});
+    collector.trackConversion({ orderId: 'ORDER123' });
+
+    // The conversion ends the session, both session events are valid
+    expect(collector.events.map(event => event.type)).toEqual(['custom_event', 'session_end', 'session_start']);
+    expect(collector.events[0].name).toBe('conversion');
+    expect(warnSpy).toHaveBeenCalledWith('Invalid custom_event event rejected:', ['$.name: must not be shorter than 1']);
+  });
+
+  test('should validate events before plugins enrich them', () => {
+    collector = new SearchBehaviorAnalysisCollector({
+      performanceMetricsEnabled: false,
+      pageViewTrackingEnabled: false,
+      validationMode: 'reject',
+      plugins: [{
+        beforeTrack: (item) => {
+          item.tenant = 'acme';
+        },
+      }],
+    });
+    collector.trackEvent('test_event');
+
+    expect(collector.events).toEqual([expect.objectContaining({ name: 'test_event', tenant: 'acme' })]);
+    expect(warnSpy).not.toHaveBeenCalled();
+  });
+});
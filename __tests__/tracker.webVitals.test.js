@@ -0,0 +1,126 @@
+const SearchBehaviorAnalysisCollector = require('../src/tracker');
+
+describe('Web Vitals Reporting', () => {
+  let collector;
+  let observers;
+
+  // Delivers entries to the observer of an entry type
+  const emit = (type, entries) => {
+    observers
+      .filter(observer => observer.types.includes(type) && !observer.disconnected)
+      .forEach(observer => observer.callback({ getEntries: () => entries }));
+  };
+
+  const setVisibility = (visibilityState) => {
+    Object.defineProperty(document, 'visibilityState', { value: visibilityState, configurable: true });
+    document.dispatchEvent(new Event('visibilitychange'));
+  };
+
+  const vitals = () => collector.performanceMetrics.filter(metric => ['LCP', 'CLS', 'INP'].includes(metric.type));
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    sessionStorage.clear();
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    observers = [];
+    global.PerformanceObserver = jest.fn().mockImplementation((callback) => {
+      const observer = {
+        callback,
+        types: [],
+        options: [],
+        observe: jest.fn((options) => {
+          observer.types.push(options.type);
+          observer.options.push(options);
+        }),
+        disconnect: jest.fn(() => {
+          observer.disconnected = true;
+        }),
+      };
+      observers.push(observer);
+      return observer;
+    });
+    // jsdom has no Performance Timeline, the page has no navigation timing
+    performance.getEntriesByType = jest.fn().mockReturnValue([]);
+    history.replaceState({}, '', '/search');
+    document.body.innerHTML = '<main id="results"><button class="filter">Filter</button></main>';
+    collector = new SearchBehaviorAnalysisCollector({ batchSize: 100 });
+    jest.spyOn(collector, 'sendPerformanceMetrics').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    collector.destroy();
+    setVisibility('visible');
+    delete global.PerformanceObserver;
+    delete performance.getEntriesByType;
+    history.replaceState({}, '', '/');
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should not report LCP candidates, layout shifts or interactions right away', () => {
+    emit('largest-contentful-paint', [{ startTime: 800, element: null }]);
+    emit('layout-shift', [{ startTime: 100, value: 0.1, hadRecentInput: false }]);
+
+    expect(vitals()).toHaveLength(0);
+  });
+
+  test('should report the final values when the page is hidden', () => {
+    const button = document.querySelector('button');
+    emit('largest-contentful-paint', [{ startTime: 800, element: null }]);
+    emit('largest-contentful-paint', [{ startTime: 1500, element: button, size: 500, url: '' }]);
+    emit('layout-shift', [{ startTime: 100, value: 0.1, hadRecentInput: false, sources: [{ node: button }] }]);
+    emit('event', [{ interactionId: 7, duration: 240, startTime: 2000, name: 'pointerup', target: button }]);
+
+    setVisibility('hidden');
+
+    expect(vitals()).toEqual([
+      expect.objectContaining({ type: 'LCP', value: 1500, element: 'BUTTON', target: 'main#results>button.filter', path: '/search' }),
+      expect.objectContaining({ type: 'CLS', value: 0.1, target: 'main#results>button.filter', path: '/search' }),
+      expect.objectContaining({ type: 'INP', value: 240, eventType: 'pointerup', path: '/search' }),
+    ]);
+    expect(vitals().every(metric => typeof metric.loadState === 'string')).toBe(true);
+  });
+
+  test('should report again only what changed after the page was shown again', () => {
+    emit('layout-shift', [{ startTime: 100, value: 0.1, hadRecentInput: false }]);
+    setVisibility('hidden');
+    setVisibility('visible');
+    setVisibility('hidden');
+    emit('layout-shift', [{ startTime: 300, value: 0.05, hadRecentInput: false }]);
+    setVisibility('hidden');
+
+    expect(vitals().map(metric => metric.value)).toEqual([0.1, expect.closeTo(0.15)]);
+  });
+
+  test('should report the values of a route when it changes and start over', () => {
+    emit('event', [{ interactionId: 3, duration: 180, startTime: 900, name: 'click' }]);
+    history.pushState({}, '', '/product/1');
+
+    expect(vitals()).toEqual([
+      expect.objectContaining({ type: 'CLS', value: 0, path: '/search' }),
+      expect.objectContaining({ type: 'INP', value: 180, path: '/search' }),
+    ]);
+
+    collector.performanceMetrics = [];
+    emit('event', [{ interactionId: 4, duration: 60, startTime: 5000, name: 'click' }]);
+    setVisibility('hidden');
+
+    expect(vitals()).toEqual([
+      expect.objectContaining({ type: 'CLS', value: 0, path: '/product/1' }),
+      expect.objectContaining({ type: 'INP', value: 60, path: '/product/1' }),
+    ]);
+  });
+
+  test('should only replay buffered entries for the first page', () => {
+    const bufferedOptions = () => observers
+      .filter(observer => !observer.disconnected)
+      .flatMap(observer => observer.options)
+      .filter(options => options.type) // FCP and resources are observed by entryTypes
+      .map(options => options.buffered);
+
+    expect(bufferedOptions()).toEqual([true, true, true, true]);
+    history.pushState({}, '', '/product/1');
+    expect(bufferedOptions()).toEqual([false, false, false, false]);
+  });
+});
@@ -0,0 +1,122 @@
+const { transports, chunkPayload } = require('../src/transports');
+
+describe('transports', () => {
+  const headers = { 'Content-Type': 'application/json' };
+
+  beforeEach(() => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+  });
+
+  afterEach(() => {
+    delete navigator.sendBeacon;
+    jest.restoreAllMocks();
+  });
+
+  describe('fetch', () => {
+    test('should post the body', async () => {
+      await transports.fetch.send('/api/track', '{}', headers);
+      expect(fetch).toHaveBeenCalledWith('/api/track', { method: 'POST', headers, body: '{}' });
+    });
+
+    test('should reject failed responses', async () => {
+      fetch.mockResolvedValue({ ok: false, status: 503 });
+      await expect(transports.fetch.send('/api/track', '{}', headers)).rejects.toThrow('Failed to send batch: 503');
+    });
+  });
+
+  describe('keepalive', () => {
+    test('should keep the request alive after the page is gone', async () => {
+      await transports.keepalive.send('/api/track', '{}', headers);
+      expect(fetch).toHaveBeenCalledWith('/api/track', { method: 'POST', headers, body: '{}', keepalive: true });
+      expect(transports.keepalive.maxBodySize).toBe(65536);
+    });
+  });
+
+  describe('beacon', () => {
+    test('should queue a beacon with the content type', async () => {
+      navigator.sendBeacon = jest.fn().mockReturnValue(true);
+      await transports.beacon.send('/api/track', '{}', headers);
+
+      const [url, blob] = navigator.sendBeacon.mock.calls[0];
+      expect(url).toBe('/api/track');
+      expect(blob.type).toBe('application/json');
+    });
+
+    test('should reject beacons the browser did not queue', async () => {
+      navigator.sendBeacon = jest.fn().mockReturnValue(false);
+      await expect(transports.beacon.send('/api/track', '{}', headers)).rejects.toThrow('Failed to send batch via sendBeacon');
+    });
+
+    test('should only be available with sendBeacon', () => {
+      expect(transports.beacon.isAvailable()).toBe(false);
+      navigator.sendBeacon = jest.fn();
+      expect(transports.beacon.isAvailable()).toBe(true);
+    });
+  });
+
+  describe('xhr', () => {
+    let requests;
+
+    beforeEach(() => {
+      requests = [];
+      jest.spyOn(window, 'XMLHttpRequest').mockImplementation(function () {
+        this.open = jest.fn();
+        this.setRequestHeader = jest.fn();
+        this.send = jest.fn();
+        requests.push(this);
+      });
+    });
+
+    test('should post the body with the headers', async () => {
+      const sent = transports.xhr.send('/api/track', '{}', { ...headers, 'Content-Encoding': 'gzip' });
+      const [request] = requests;
+      request.status = 204;
+      request.onload();
+      await sent;
+
+      expect(request.open).toHaveBeenCalledWith('POST', '/api/track');
+      expect(request.setRequestHeader).toHaveBeenCalledWith('Content-Encoding', 'gzip');
+      expect(request.send).toHaveBeenCalledWith('{}');
+    });
+
+    test('should reject failed requests', async () => {
+      const failed = transports.xhr.send('/api/track', '{}', headers);
+      requests[0].status = 500;
+      requests[0].onload();
+      await expect(failed).rejects.toThrow('Failed to send batch: 500');
+
+      const lost = transports.xhr.send('/api/track', '{}', headers);
+      requests[1].onerror();
+      await expect(lost).rejects.toThrow('Failed to send batch: network error');
+    });
+  });
+
+  describe('chunkPayload', () => {
+    const payload = events => ({ schemaVersion: '1.0.0', events, timestamp: '2024-01-01T12:00:00Z' });
+    const event = index => ({ type: 'custom_event', name: `event-${index}`, data: { padding: 'x'.repeat(100) } });
+
+    test('should keep payloads that fit', () => {
+      const small = payload([event(1)]);
+      expect(chunkPayload(small, 'events', 65536)).toEqual([small]);
+      expect(chunkPayload(small, 'events', undefined)).toEqual([small]);
+    });
+
+    test('should split payloads by their items', () => {
+      const events = Array.from({ length: 10 }, (_, index) => event(index));
+      const chunks = chunkPayload(payload(events), 'events', 600);
+
+      expect(chunks.length).toBeGreaterThan(1);
+      expect(chunks.flatMap(chunk => chunk.events)).toEqual(events);
+      chunks.forEach(chunk => {
+        expect(chunk.schemaVersion).toBe('1.0.0');
+        expect(new Blob([JSON.stringify(chunk)]).size).toBeLessThanOrEqual(600);
+      });
+    });
+
+    test('should send items too large on their own alone', () => {
+      const events = [event(1), { ...event(2), data: { padding: 'x'.repeat(1000) } }, event(3)];
+      const chunks = chunkPayload(payload(events), 'events', 600);
+      expect(chunks.map(chunk => chunk.events.map(({ name }) => name))).toEqual([['event-1'], ['event-2'], ['event-3']]);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+const { WebVitals, getSelector, getLoadState, getScriptAttribution } = require('../src/webVitals');
+
+describe('WebVitals', () => {
+  const shift = (startTime, value, extra = {}) => ({ startTime, value, hadRecentInput: false, ...extra });
+  const interaction = (interactionId, duration, extra = {}) => ({
+    interactionId, duration, startTime: interactionId * 1000, name: 'click', ...extra,
+  });
+  const reported = (vitals, type) => vitals.report().find(metric => metric.type === type);
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  describe('CLS', () => {
+    test('should report the largest session window', () => {
+      const vitals = new WebVitals();
+      // First window: 0.1 + 0.1, less than a second apart
+      vitals.recordLayoutShift(shift(0, 0.1));
+      vitals.recordLayoutShift(shift(500, 0.1));
+      // A gap of more than a second starts a new, smaller window
+      vitals.recordLayoutShift(shift(3000, 0.15));
+
+      expect(reported(vitals, 'CLS').value).toBeCloseTo(0.2);
+    });
+
+    test('should close windows after 5 seconds', () => {
+      const vitals = new WebVitals();
+      for (let time = 0; time <= 6000; time += 500) {
+        vitals.recordLayoutShift(shift(time, 0.01));
+      }
+      // 10 shifts fit in the first 5 seconds
+      expect(reported(vitals, 'CLS').value).toBeCloseTo(0.1);
+    });
+
+    test('should ignore shifts after user input', () => {
+      const vitals = new WebVitals();
+      vitals.recordLayoutShift(shift(0, 0.3, { hadRecentInput: true }));
+      vitals.recordLayoutShift(shift(100, 0.05));
+
+      expect(reported(vitals, 'CLS').value).toBe(0.05);
+    });
+
+    test('should report 0 for pages without shifts', () => {
+      expect(reported(new WebVitals(), 'CLS')).toEqual(expect.objectContaining({ value: 0, target: undefined }));
+    });
+
+    test('should attribute the largest shift of the window', () => {
+      document.body.innerHTML = '<div id="banner"></div><img class="hero">';
+      const vitals = new WebVitals();
+      vitals.recordLayoutShift(shift(0, 0.05, { sources: [{ node: document.getElementById('banner') }] }));
+      vitals.recordLayoutShift(shift(200, 0.2, { sources: [{ node: null }, { node: document.querySelector('img') }] }));
+
+      expect(reported(vitals, 'CLS').target).toBe('body>img.hero');
+    });
+  });
+
+  describe('INP', () => {
+    test('should use the longest entry of an interaction', () => {
+      const vitals = new WebVitals();
+      vitals.recordInteraction(interaction(1, 40, { name: 'pointerdown' }));
+      vitals.recordInteraction(interaction(1, 120, { name: 'click' }));
+      vitals.recordInteraction(interaction(2, 80));
+
+      expect(reported(vitals, 'INP')).toMatchObject({ value: 120, eventType: 'click' });
+    });
+
+    test('should skip one outlier per 50 interactions', () => {
+      const vitals = new WebVitals();
+      for (let id = 1; id <= 120; id++) {
+        vitals.recordInteraction(interaction(id, id));
+      }
+      // 120 interactions skip the 2 longest
+      expect(reported(vitals, 'INP').value).toBe(118);
+      expect(vitals.interactions).toHaveLength(10);
+    });
+
+    test('should ignore entries without an interaction', () => {
+      const vitals = new WebVitals();
+      vitals.recordInteraction(interaction(0, 500, { name: 'mouseover' }));
+
+      expect(reported(vitals, 'INP')).toBeUndefined();
+    });
+  });
+
+  describe('report', () => {
+    test('should only report values that changed', () => {
+      const vitals = new WebVitals();
+      vitals.recordLcp({ startTime: 1000, element: null, size: 100, url: '' });
+      vitals.recordInteraction(interaction(1, 100));
+
+      expect(vitals.report().map(metric => metric.type)).toEqual(['LCP', 'CLS', 'INP']);
+      expect(vitals.report()).toEqual([]);
+
+      vitals.recordInteraction(interaction(2, 300));
+      expect(vitals.report()).toEqual([expect.objectContaining({ type: 'INP', value: 300 })]);
+    });
+
+    test('should keep the LCP reported first', () => {
+      const vitals = new WebVitals();
+      vitals.recordLcp({ startTime: 1000, element: null });
+      vitals.report();
+      vitals.recordLcp({ startTime: 5000, element: null });
+
+      expect(vitals.lcp.startTime).toBe(1000);
+    });
+  });
+
+  describe('getSelector', () => {
+    test('should describe the element up to an ancestor with an ID', () => {
+      document.body.innerHTML = `
+        <main id="content"><ul class="results grid extra"><li><a href="#">Item</a></li></ul></main>
+      `;
+      expect(getSelector(document.querySelector('a'))).toBe('main#content>ul.results.grid>li>a');
+    });
+
+    test('should use the parent of text nodes and stop at the body', () => {
+      document.body.innerHTML = '<p>Text</p>';
+      expect(getSelector(document.querySelector('p').firstChild)).toBe('body>p');
+      expect(getSelector(null)).toBeUndefined();
+    });
+  });
+
+  describe('getLoadState', () => {
+    const originalGetEntriesByType = performance.getEntriesByType;
+
+    afterEach(() => {
+      performance.getEntriesByType = originalGetEntriesByType;
+    });
+
+    test('should compare the time with the navigation timing', () => {
+      performance.getEntriesByType = jest.fn().mockReturnValue([{
+        domInteractive: 100,
+        domContentLoadedEventStart: 200,
+        loadEventStart: 300,
+      }]);
+
+      expect(getLoadState(50)).toBe('loading');
+      expect(getLoadState(150)).toBe('dom-interactive');
+      expect(getLoadState(250)).toBe('dom-content-loaded');
+      expect(getLoadState(350)).toBe('complete');
+    });
+
+    test('should treat unfinished phases as not reached', () => {
+      performance.getEntriesByType = jest.fn().mockReturnValue([{
+        domInteractive: 100,
+        domContentLoadedEventStart: 0,
+        loadEventStart: 0,
+      }]);
+
+      expect(getLoadState(5000)).toBe('dom-interactive');
+    });
+
+    test('should fall back to the ready state without navigation timing', () => {
+      performance.getEntriesByType = jest.fn().mockReturnValue([]);
+      expect(getLoadState(0)).toBe('complete');
+    });
+  });
+
+  describe('getScriptAttribution', () => {
+    const script = (duration, extra = {}) => ({
+      invoker: 'BUTTON#apply.onclick', invokerType: 'event-listener', sourceURL: 'https://example.com/app.js',
+      sourceFunctionName: 'applyFilters', duration, ...extra,
+    });
+
+    test('should keep the 3 longest scripts', () => {
+      const scripts = [script(20), script(120), script(60), script(90, { invokerType: 'resolve-promise' })];
+      expect(getScriptAttribution(scripts).map(({ duration, invokerType }) => [duration, invokerType])).toEqual([
+        [120, 'event-listener'],
+        [90, 'resolve-promise'],
+        [60, 'event-listener'],
+      ]);
+    });
+
+    test('should leave out unknown sources', () => {
+      expect(getScriptAttribution([script(80, { sourceURL: '', sourceFunctionName: '' })])).toEqual([{
+        invoker: 'BUTTON#apply.onclick', invokerType: 'event-listener', sourceURL: undefined, sourceFunctionName: undefined, duration: 80,
+      }]);
+      expect(getScriptAttribution(undefined)).toEqual([]);
+    });
+  });
+});
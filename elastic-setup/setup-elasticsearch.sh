@@ -158,6 +158,12 @@ create_events_template() {
     "mappings": {
       "dynamic": "strict",
       "properties": {
+        "schemaVersion": {
+          "type": "keyword"
+        },
+        "sampleRate": {
+          "type": "float"
+        },
         "timestamp": {
           "type": "date",
           "format": "strict_date_optional_time||epoch_millis"
@@ -168,6 +174,9 @@ create_events_template() {
         "colorIdentifier": {
           "type": "keyword"
         },
+        "browserInfoId": {
+          "type": "keyword"
+        },
         "events": {
           "type": "nested",
           "properties": {
@@ -183,9 +192,179 @@ create_events_template() {
             "position": {
               "type": "integer"
             },
+            "action": {
+              "type": "keyword"
+            },
+            "layout": {
+              "type": "keyword"
+            },
+            "row": {
+              "type": "integer"
+            },
+            "column": {
+              "type": "integer"
+            },
+            "columnsPerRow": {
+              "type": "integer"
+            },
+            "activationType": {
+              "type": "keyword"
+            },
+            "sameTab": {
+              "type": "boolean"
+            },
             "searchRequestId": {
               "type": "keyword"
             },
+            "query": {
+              "type": "text",
+              "fields": {
+                "keyword": {
+                  "type": "keyword",
+                  "ignore_above": 512
+                }
+              }
+            },
+            "filters": {
+              "type": "flattened"
+            },
+            "sort": {
+              "type": "keyword"
+            },
+            "page": {
+              "type": "integer"
+            },
+            "pageSize": {
+              "type": "integer"
+            },
+            "totalResults": {
+              "type": "long"
+            },
+            "resultItemIds": {
+              "type": "keyword"
+            },
+            "visibleRatio": {
+              "type": "float"
+            },
+            "timeInView": {
+              "type": "long"
+            },
+            "dwellTime": {
+              "type": "long"
+            },
+            "outcome": {
+              "type": "keyword"
+            },
+            "returnType": {
+              "type": "keyword"
+            },
+            "maxScrollPercent": {
+              "type": "integer"
+            },
+            "maxVisiblePosition": {
+              "type": "integer"
+            },
+            "timeToFirstKeystroke": {
+              "type": "long"
+            },
+            "typingDuration": {
+              "type": "long"
+            },
+            "keystrokes": {
+              "type": "integer"
+            },
+            "queryIndex": {
+              "type": "integer"
+            },
+            "previousQuery": {
+              "type": "text",
+              "fields": {
+                "keyword": {
+                  "type": "keyword",
+                  "ignore_above": 512
+                }
+              }
+            },
+            "editType": {
+              "type": "keyword"
+            },
+            "suggestionRequestId": {
+              "type": "keyword"
+            },
+            "reason": {
+              "type": "keyword"
+            },
+            "timeSpent": {
+              "type": "long"
+            },
+            "duration": {
+              "type": "long"
+            },
+            "zeroResults": {
+              "type": "boolean"
+            },
+            "path": {
+              "type": "keyword"
+            },
+            "previousPath": {
+              "type": "keyword"
+            },
+            "referrer": {
+              "type": "keyword",
+              "ignore_above": 2048
+            },
+            "title": {
+              "type": "text",
+              "fields": {
+                "keyword": {
+                  "type": "keyword",
+                  "ignore_above": 512
+                }
+              }
+            },
+            "queryParams": {
+              "type": "flattened"
+            },
+            "navigationType": {
+              "type": "keyword"
+            },
+            "errorType": {
+              "type": "keyword"
+            },
+            "message": {
+              "type": "text",
+              "fields": {
+                "keyword": {
+                  "type": "keyword",
+                  "ignore_above": 512
+                }
+              }
+            },
+            "stack": {
+              "type": "text"
+            },
+            "source": {
+              "type": "keyword",
+              "ignore_above": 2048
+            },
+            "lineNumber": {
+              "type": "integer"
+            },
+            "columnNumber": {
+              "type": "integer"
+            },
+            "prefix": {
+              "type": "keyword",
+              "ignore_above": 512
+            },
+            "suggestions": {
+              "type": "keyword",
+              "ignore_above": 512
+            },
+            "suggestion": {
+              "type": "keyword",
+              "ignore_above": 512
+            },
             "timestamp": {
               "type": "date",
               "format": "strict_date_optional_time||epoch_millis"
@@ -332,6 +511,12 @@ create_metrics_template() {
     "mappings": {
       "dynamic": "strict",
       "properties": {
+        "schemaVersion": {
+          "type": "keyword"
+        },
+        "sampleRate": {
+          "type": "float"
+        },
         "timestamp": {
           "type": "date",
           "format": "strict_date_optional_time||epoch_millis"
@@ -342,6 +527,9 @@ create_metrics_template() {
         "colorIdentifier": {
           "type": "keyword"
         },
+        "browserInfoId": {
+          "type": "keyword"
+        },
         "performanceMetrics": {
           "type": "nested",
           "properties": {
@@ -351,9 +539,25 @@ create_metrics_template() {
             "value": {
               "type": "float"
             },
+            "sampleRate": {
+              "type": "float"
+            },
+            "path": {
+              "type": "keyword"
+            },
             "element": {
               "type": "keyword"
             },
+            "target": {
+              "type": "keyword",
+              "ignore_above": 512
+            },
+            "loadState": {
+              "type": "keyword"
+            },
+            "eventType": {
+              "type": "keyword"
+            },
             "size": {
               "type": "long"
             },
@@ -371,6 +575,52 @@ create_metrics_template() {
             "initiatorType": {
               "type": "keyword"
             },
+            "origin": {
+              "type": "keyword"
+            },
+            "count": {
+              "type": "integer"
+            },
+            "totalSize": {
+              "type": "long"
+            },
+            "p50Duration": {
+              "type": "float"
+            },
+            "p95Duration": {
+              "type": "float"
+            },
+            "navigationType": {
+              "type": "keyword"
+            },
+            "blockingDuration": {
+              "type": "float"
+            },
+            "searchRequestId": {
+              "type": "keyword"
+            },
+            "scripts": {
+              "properties": {
+                "invoker": {
+                  "type": "keyword",
+                  "ignore_above": 512
+                },
+                "invokerType": {
+                  "type": "keyword"
+                },
+                "sourceURL": {
+                  "type": "keyword",
+                  "ignore_above": 2048
+                },
+                "sourceFunctionName": {
+                  "type": "keyword",
+                  "ignore_above": 512
+                },
+                "duration": {
+                  "type": "float"
+                }
+              }
+            },
             "ttfb": {
               "type": "float"
             },
@@ -584,6 +834,7 @@ main() {
     echo "Example document structure for events:"
     echo '  POST /search-behavior-events/_doc'
     echo '  {'
+    echo '    "schemaVersion": "1.0.0",'
     echo '    "timestamp": "2024-01-01T12:00:00Z",'
     echo '    "sessionId": "uuid",'
     echo '    "colorIdentifier": "#FF5733-#33FF57",'
@@ -0,0 +1,64 @@
+const MAX_STACK_FRAMES = 10;
+const MAX_MESSAGE_LENGTH = 500;
+// 'url:line:column' of a stack frame, e.g. 'at search (https://example.com/app.js?v=3:10:5)'
+// in Chrome or 'search@https://example.com/app.js?v=3:10:5' in Firefox and Safari
+const FRAME_LOCATION = /((?:https?|file|blob):\/\/[^\s()@]+|\/[^\s()@]+):(\d+):(\d+)/;
+
+// Query strings and hashes are mostly cache busters that differ between deployments
+function stripQuery(url) {
+  return url.replace(/[?#].*$/, '');
+}
+
+// Stack frames without the message line that precedes them in Chrome, at most 10 frames
+function normalizeStack(stack) {
+  if (typeof stack !== 'string') return undefined;
+
+  const frames = stack.split('\n')
+    .map(line => line.trim())
+    .filter(line => FRAME_LOCATION.test(line))
+    .slice(0, MAX_STACK_FRAMES)
+    .map(line => line.replace(FRAME_LOCATION, (match, url, lineNumber, columnNumber) => `${stripQuery(url)}:${lineNumber}:${columnNumber}`));
+  return frames.length > 0 ? frames.join('\n') : undefined;
+}
+
+function getFrameLocation(stack) {
+  const match = stack?.match(FRAME_LOCATION);
+  return match ? { source: match[1], lineNumber: Number(match[2]), columnNumber: Number(match[3]) } : {};
+}
+
+function getRejectionMessage(reason) {
+  if (reason instanceof Error) return `${reason.name}: ${reason.message}`;
+  if (typeof reason === 'string') return reason;
+  try {
+    return JSON.stringify(reason) ?? String(reason);
+  } catch {
+    return String(reason);
+  }
+}
+
+// Details of an error or unhandledrejection event. Errors of cross-origin scripts without CORS
+// only have the message 'Script error.' and no location.
+function getErrorDetails(event) {
+  const error = event.type === 'unhandledrejection' ? event.reason : event.error;
+  const stack = normalizeStack(error?.stack);
+  const message = event.type === 'unhandledrejection'
+    ? getRejectionMessage(event.reason)
+    : event.message || getRejectionMessage(error);
+  const location = event.filename
+    ? { source: event.filename, lineNumber: event.lineno, columnNumber: event.colno }
+    : getFrameLocation(stack);
+
+  return {
+    errorType: event.type,
+    message: message.slice(0, MAX_MESSAGE_LENGTH),
+    stack,
+    source: location.source ? stripQuery(location.source) : undefined,
+    lineNumber: location.lineNumber,
+    columnNumber: location.columnNumber
+  };
+}
+
+module.exports = {
+  normalizeStack,
+  getErrorDetails
+};
@@ -0,0 +1,239 @@
+const DB_NAME = 'search-behavior-analysis-collector';
+const STORE_NAME = 'queue';
+// A tab sending a batch keeps other tabs from sending it for this long
+const CLAIM_DURATION = 60 * 1000;
+
+// Keeps batches added within the same millisecond in order
+let sequence = 0;
+
+// Batches that could not be delivered yet. Stored in IndexedDB when available, localStorage
+// otherwise, so they survive reloads and crashes and can be replayed on the next page load.
+// Every batch is its own record, so tabs sharing the storage add and remove their batches
+// without overwriting each other's, and a batch is claimed before it is sent so two tabs
+// never deliver it twice.
+class PersistentQueue {
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || 'tracker_queue';
+    this.maxSize = options.maxSize || 50;
+    this.dropPolicy = options.dropPolicy || 'drop_oldest';
+    this.persistent = options.persistent !== false;
+    this.claimDuration = CLAIM_DURATION;
+    this.owner = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    this.items = [];
+    // Storage is not touched before the queue is opened, e.g. while consent is pending
+    this.ready = new Promise(resolve => {
+      this._open = resolve;
+    }).then(() => this.load());
+    this._writes = this.ready;
+    if (options.open !== false) {
+      this.open();
+    }
+  }
+
+  // Reads the stored batches, later writes go to storage
+  open() {
+    this._open();
+  }
+
+  async load() {
+    const storedItems = await this.read();
+    // Batches added before loading finished go after the stored ones
+    this.items = [...storedItems, ...this.items];
+    this.enforceMaxSize();
+  }
+
+  // Ids sort in the order they were created, see add()
+  createId() {
+    return `${Date.now()}-${String(sequence++ % 10000).padStart(4, '0')}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  // Batches are kept in the order of their ids. Callers may pass an id created before, e.g.
+  // to queue chunks of a batch in order whichever of them fails first.
+  add(batch) {
+    const item = {
+      id: this.createId(),
+      createdAt: new Date().toISOString(),
+      ...batch
+    };
+    const index = this.items.findIndex(other => other.id > item.id);
+    this.items.splice(index === -1 ? this.items.length : index, 0, item);
+    this.store(() => this.write(item));
+    this.enforceMaxSize();
+    return item;
+  }
+
+  remove(id) {
+    this.removeItems(this.items.filter(item => item.id === id));
+  }
+
+  removeFor(url) {
+    this.removeItems(this.itemsFor(url));
+  }
+
+  removeItems(items) {
+    const ids = new Set(items.map(item => item.id));
+    this.items = this.items.filter(item => !ids.has(item.id));
+    ids.forEach(id => this.store(() => this.delete(id)));
+  }
+
+  // Removes the batches for the url, including those stored by earlier page loads. Opens the
+  // queue if needed, as withdrawn consent must clear storage the queue did not read yet.
+  async purge(url) {
+    this.removeFor(url);
+    this.open();
+    await this.ready;
+    this.removeFor(url);
+    return this.flush();
+  }
+
+  itemsFor(url) {
+    return this.items.filter(item => item.url === url);
+  }
+
+  has(url) {
+    return this.items.some(item => item.url === url);
+  }
+
+  includes(id) {
+    return this.items.some(item => item.id === id);
+  }
+
+  clear() {
+    this.removeItems(this.items);
+    return this.flush();
+  }
+
+  enforceMaxSize() {
+    if (this.items.length <= this.maxSize) return;
+
+    const overflow = this.items.length - this.maxSize;
+    // drop_newest keeps what is already queued and rejects the batches that did not fit
+    const dropped = this.dropPolicy === 'drop_newest'
+      ? this.items.slice(this.maxSize)
+      : this.items.slice(0, overflow);
+    this.removeItems(dropped);
+    console.warn(`Tracker queue is full, dropped ${dropped.length} batch(es) (${this.dropPolicy})`);
+  }
+
+  // Resolves once the batch may be sent by this tab. Batches another tab is sending stay
+  // queued, batches another tab delivered already are removed.
+  async claim(id) {
+    await this.ready;
+    if (!this.persistent) return this.includes(id);
+
+    // Storage that cannot be written must not hold batches back
+    let claimed = true;
+    await this.store(async () => {
+      claimed = await this.claimRecord(id);
+    });
+    if (claimed === null) {
+      this.items = this.items.filter(item => item.id !== id);
+    }
+    return claimed === true;
+  }
+
+  // Resolves once all storage writes made so far are done
+  flush() {
+    return this._writes;
+  }
+
+  // Writes wait for the initial load so stored batches are never written before being read,
+  // and run one after the other so a batch is never removed before it was written
+  store(operation) {
+    this._writes = this._writes.then(() => (this.persistent ? operation() : undefined)).catch(error => {
+      console.error('Error storing tracker queue:', error);
+    });
+    return this._writes;
+  }
+
+  recordKey(id) {
+    return `${this.storageKey}:${id}`;
+  }
+
+  async read() {
+    if (!this.persistent) return [];
+
+    try {
+      const db = await this.openDatabase();
+      let items;
+      if (db) {
+        items = await this.request(db.transaction(STORE_NAME).objectStore(STORE_NAME).getAll());
+      } else {
+        const prefix = this.recordKey('');
+        items = Object.keys(localStorage)
+          .filter(key => key.startsWith(prefix))
+          .map(key => JSON.parse(localStorage.getItem(key)));
+      }
+      return items.filter(item => item?.id).sort((a, b) => (a.id < b.id ? -1 : 1));
+    } catch {
+      // Unreadable storage should never break tracking, start with an empty queue
+      return [];
+    }
+  }
+
+  async write(item) {
+    const db = await this.openDatabase();
+    if (db) {
+      await this.request(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).put(item, item.id));
+    } else {
+      localStorage.setItem(this.recordKey(item.id), JSON.stringify(item));
+    }
+  }
+
+  async delete(id) {
+    const db = await this.openDatabase();
+    if (db) {
+      await this.request(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).delete(id));
+    } else {
+      localStorage.removeItem(this.recordKey(id));
+    }
+  }
+
+  // Marks the stored batch as being sent by this tab. Resolves true when claimed, false when
+  // another tab holds the claim and null when the batch is no longer stored.
+  async claimRecord(id) {
+    const db = await this.openDatabase();
+    // Reading and writing in one transaction keeps other tabs from claiming in between.
+    // localStorage has no transactions, its reads and writes are only atomic one by one.
+    const store = db && db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    const record = store
+      ? await this.request(store.get(id))
+      : JSON.parse(localStorage.getItem(this.recordKey(id)));
+    if (!record) return null;
+
+    const now = Date.now();
+    if (record.claimedBy && record.claimedBy !== this.owner && record.claimedUntil > now) return false;
+
+    const claimedRecord = { ...record, claimedBy: this.owner, claimedUntil: now + this.claimDuration };
+    if (store) {
+      await this.request(store.put(claimedRecord, id));
+    } else {
+      localStorage.setItem(this.recordKey(id), JSON.stringify(claimedRecord));
+    }
+    return true;
+  }
+
+  openDatabase() {
+    if (this._db === undefined) {
+      this._db = typeof indexedDB === 'undefined'
+        ? Promise.resolve(null)
+        : new Promise(resolve => {
+          const request = indexedDB.open(DB_NAME, 1);
+          request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+          request.onsuccess = () => resolve(request.result);
+          // Private browsing modes may refuse IndexedDB, fall back to localStorage
+          request.onerror = () => resolve(null);
+        });
+    }
+    return this._db;
+  }
+
+  request(idbRequest) {
+    return new Promise((resolve, reject) => {
+      idbRequest.onsuccess = () => resolve(idbRequest.result);
+      idbRequest.onerror = () => reject(idbRequest.error);
+    });
+  }
+}
+
+module.exports = PersistentQueue;
@@ -0,0 +1,27 @@
+// Classifies how a user changed their query between two consecutive searches:
+// - refine: terms were added or completed, e.g. "shoes" -> "running shoes"
+// - broaden: terms were removed, e.g. "red running shoes" -> "running shoes"
+// - replace: anything else, e.g. "shoes" -> "boots" or a spelling correction
+// - repeat: the same query was submitted again
+function getTerms(query) {
+  return query.toLowerCase().trim().split(/\s+/).filter(Boolean);
+}
+
+// Every term of the first query is kept, possibly completed, in the second one
+function coversTerms(terms, otherTerms) {
+  return terms.every(term => otherTerms.some(otherTerm => otherTerm.startsWith(term)));
+}
+
+function classifyReformulation(previousQuery, query) {
+  const previousTerms = getTerms(previousQuery);
+  const terms = getTerms(query);
+
+  if (previousTerms.join(' ') === terms.join(' ')) return 'repeat';
+  if (coversTerms(previousTerms, terms)) return 'refine';
+  if (coversTerms(terms, previousTerms)) return 'broaden';
+  return 'replace';
+}
+
+module.exports = {
+  classifyReformulation
+};
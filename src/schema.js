@@ -0,0 +1,339 @@
+// JSON Schemas (draft 2020-12) for the payloads sent to the events and metrics endpoints.
+// Bump SCHEMA_VERSION whenever a payload shape changes and keep the Elasticsearch mappings in
+// elastic-setup/setup-elasticsearch.sh in sync, they reject fields that are not mapped.
+const SCHEMA_VERSION = '1.17.0';
+
+const nullableString = { type: ['string', 'null'] };
+const timestamp = { type: 'string', format: 'date-time' };
+const sampleRate = { type: 'number', minimum: 0, maximum: 1 };
+
+const browserInfoSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    userAgent: { type: 'string' },
+    language: { type: 'string' },
+    platform: { type: 'string' },
+    screenWidth: { type: 'integer' },
+    screenHeight: { type: 'integer' },
+    viewportWidth: { type: 'integer' },
+    viewportHeight: { type: 'integer' },
+    devicePixelRatio: { type: 'number' },
+    timezone: { type: 'string' },
+    timestamp,
+    domain: { type: 'string' },
+    path: { type: 'string' },
+    browser: { type: 'string' },
+    connection: {
+      type: ['object', 'null'],
+      additionalProperties: false,
+      properties: {
+        effectiveType: { type: 'string' },
+        downlink: { type: 'number' },
+        rtt: { type: 'number' },
+        saveData: { type: 'boolean' }
+      }
+    },
+    memory: {
+      type: ['object', 'null'],
+      additionalProperties: false,
+      properties: {
+        deviceMemory: { type: 'number' },
+        hardwareConcurrency: { type: 'integer' }
+      }
+    }
+  }
+};
+
+// Fields each event type must carry on top of type and timestamp
+const requiredEventFields = {
+  custom_event: ['name', 'data'],
+  click: ['itemId', 'position'],
+  action: ['action', 'itemId', 'position'],
+  impression: ['itemId', 'position', 'visibleRatio', 'timeInView'],
+  search: ['searchRequestId'],
+  dwell: ['itemId', 'dwellTime', 'outcome'],
+  scroll_depth: ['searchRequestId', 'maxScrollPercent'],
+  query_typed: ['query'],
+  query_submitted: ['query', 'queryIndex'],
+  query_cleared: ['query'],
+  suggestions_shown: ['suggestionRequestId', 'suggestions'],
+  suggestion_selected: ['suggestionRequestId', 'suggestion', 'position'],
+  suggestions_ignored: ['suggestionRequestId', 'query'],
+  abandonment: ['searchRequestId', 'reason', 'timeSpent', 'zeroResults'],
+  session_start: ['sessionId'],
+  session_end: ['sessionId', 'reason', 'duration'],
+  page_view: ['path', 'navigationType'],
+  js_error: ['errorType', 'message']
+};
+
+const navigationType = { type: 'string', enum: ['load', 'push', 'replace', 'back_forward'] };
+
+const eventSchema = {
+  type: 'object',
+  required: ['type', 'timestamp'],
+  additionalProperties: false,
+  properties: {
+    type: { type: 'string', enum: Object.keys(requiredEventFields) },
+    name: { type: 'string', minLength: 1 },
+    action: { type: 'string', minLength: 1 },
+    data: { type: 'object' },
+    itemId: { type: 'string', minLength: 1 },
+    position: { type: 'integer', minimum: 0 },
+    layout: { type: 'string', enum: ['list', 'grid', 'carousel'] },
+    row: { type: 'integer', minimum: 1 },
+    column: { type: 'integer', minimum: 1 },
+    columnsPerRow: { type: 'integer', minimum: 1 },
+    activationType: { type: 'string', enum: ['primary', 'middle', 'modifier', 'keyboard', 'contextmenu'] },
+    sameTab: { type: 'boolean' },
+    searchRequestId: nullableString,
+    timestamp,
+    sessionId: nullableString,
+    visibleRatio: { type: 'number', minimum: 0, maximum: 1 },
+    timeInView: { type: 'number', minimum: 0 },
+    query: nullableString,
+    filters: { type: 'object' },
+    sort: nullableString,
+    page: { type: ['integer', 'null'], minimum: 0 },
+    pageSize: { type: ['integer', 'null'], minimum: 1 },
+    totalResults: { type: ['integer', 'null'], minimum: 0 },
+    resultItemIds: { type: 'array', items: { type: 'string' } },
+    dwellTime: { type: 'number', minimum: 0 },
+    outcome: { type: 'string', enum: ['pogo_stick', 'short_click', 'long_click'] },
+    returnType: { type: 'string', enum: ['navigation', 'tab'] },
+    maxScrollPercent: { type: 'integer', minimum: 0, maximum: 100 },
+    maxVisiblePosition: { type: 'integer', minimum: 1 },
+    timeToFirstKeystroke: { type: 'number', minimum: 0 },
+    typingDuration: { type: 'number', minimum: 0 },
+    keystrokes: { type: 'integer', minimum: 0 },
+    queryIndex: { type: 'integer', minimum: 1 },
+    previousQuery: nullableString,
+    editType: { type: ['string', 'null'], enum: ['refine', 'broaden', 'replace', 'repeat', null] },
+    suggestionRequestId: { type: 'string', minLength: 1 },
+    prefix: nullableString,
+    suggestions: { type: 'array', items: { type: 'string' } },
+    suggestion: { type: 'string' },
+    reason: {
+      type: 'string',
+      enum: [
+        // abandonment
+        'navigation', 'new_search', 'session_timeout', 'unload',
+        // session_end
+        'inactivity', 'max_duration', 'midnight', 'conversion', 'reset'
+      ]
+    },
+    duration: { type: 'number', minimum: 0 },
+    timeSpent: { type: 'number', minimum: 0 },
+    zeroResults: { type: 'boolean' },
+    path: { type: 'string' },
+    previousPath: nullableString,
+    referrer: nullableString,
+    title: { type: 'string' },
+    queryParams: { type: 'object' },
+    navigationType,
+    errorType: { type: 'string', enum: ['error', 'unhandledrejection'] },
+    message: { type: 'string' },
+    stack: { type: 'string' },
+    source: { type: 'string' },
+    lineNumber: { type: 'integer', minimum: 0 },
+    columnNumber: { type: 'integer', minimum: 0 }
+  },
+  allOf: Object.entries(requiredEventFields).map(([type, required]) => ({
+    if: { properties: { type: { const: type } } },
+    then: { required }
+  }))
+};
+
+const eventPayloadSchema = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `search-behavior-analysis-collector/events/${SCHEMA_VERSION}`,
+  type: 'object',
+  required: ['schemaVersion', 'events', 'timestamp'],
+  additionalProperties: false,
+  properties: {
+    schemaVersion: { const: SCHEMA_VERSION },
+    sampleRate,
+    events: { type: 'array', items: eventSchema },
+    sessionId: nullableString,
+    colorIdentifier: nullableString,
+    browserInfoId: { type: 'string' },
+    browserInfo: browserInfoSchema,
+    utmParams: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        utm_source: { type: 'string' },
+        utm_medium: { type: 'string' },
+        utm_campaign: { type: 'string' },
+        utm_term: { type: 'string' },
+        utm_content: { type: 'string' }
+      }
+    },
+    timestamp
+  }
+};
+
+const metricSchema = {
+  type: 'object',
+  required: ['type', 'timestamp'],
+  additionalProperties: false,
+  properties: {
+    type: {
+      type: 'string',
+      enum: [
+        'LCP', 'FCP', 'INP', 'CLS', 'RESOURCE', 'RESOURCE_SUMMARY', 'NAVIGATION', 'SOFT_NAVIGATION',
+        'LONG_TASK', 'LONG_ANIMATION_FRAME', 'TBT',
+        // No longer reported, still accepted so backends validating with this schema keep
+        // accepting older clients
+        'FID'
+      ]
+    },
+    value: { type: 'number' },
+    path: { type: 'string' },
+    element: { type: 'string' },
+    target: { type: 'string' },
+    loadState: { type: 'string', enum: ['loading', 'dom-interactive', 'dom-content-loaded', 'complete'] },
+    eventType: { type: 'string' },
+    size: { type: 'number' },
+    url: { type: 'string' },
+    name: { type: 'string' },
+    duration: { type: 'number' },
+    initiatorType: { type: 'string' },
+    origin: { type: 'string' },
+    count: { type: 'integer', minimum: 1 },
+    totalSize: { type: 'number', minimum: 0 },
+    p50Duration: { type: 'number', minimum: 0 },
+    p95Duration: { type: 'number', minimum: 0 },
+    navigationType,
+    blockingDuration: { type: 'number', minimum: 0 },
+    searchRequestId: nullableString,
+    scripts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          invoker: { type: 'string' },
+          invokerType: { type: 'string' },
+          sourceURL: { type: 'string' },
+          sourceFunctionName: { type: 'string' },
+          duration: { type: 'number', minimum: 0 }
+        }
+      }
+    },
+    ttfb: { type: 'number' },
+    domContentLoaded: { type: 'number' },
+    load: { type: 'number' },
+    dns: { type: 'number' },
+    tcp: { type: 'number' },
+    request: { type: 'number' },
+    sampleRate,
+    timestamp,
+    sessionId: nullableString
+  }
+};
+
+const metricsPayloadSchema = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `search-behavior-analysis-collector/metrics/${SCHEMA_VERSION}`,
+  type: 'object',
+  required: ['schemaVersion', 'performanceMetrics', 'timestamp'],
+  additionalProperties: false,
+  properties: {
+    schemaVersion: { const: SCHEMA_VERSION },
+    sampleRate,
+    performanceMetrics: { type: 'array', items: metricSchema },
+    sessionId: nullableString,
+    colorIdentifier: nullableString,
+    browserInfoId: { type: 'string' },
+    browserInfo: browserInfoSchema,
+    timestamp
+  }
+};
+
+const typeChecks = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  null: value => value === null
+};
+
+// Validates the subset of JSON Schema used above. Returns a list of error messages,
+// empty when the value is valid. Properties set to undefined count as absent.
+function collectErrors(schema, value, path, errors) {
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => typeChecks[type](value))) {
+      errors.push(`${path}: must be ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must not be shorter than ${schema.minLength}`);
+    }
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      errors.push(`${path}: must be a date-time`);
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => collectErrors(schema.items, item, `${path}[${index}]`, errors));
+  }
+  if (typeChecks.object(value)) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    });
+    Object.entries(value).forEach(([key, propertyValue]) => {
+      if (propertyValue === undefined) return;
+      if (schema.properties?.[key]) {
+        collectErrors(schema.properties[key], propertyValue, `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not allowed`);
+      }
+    });
+  }
+  (schema.allOf || []).forEach(subschema => {
+    if (subschema.if && collectErrors(subschema.if, value, path, []).length === 0) {
+      collectErrors(subschema.then, value, path, errors);
+    } else if (!subschema.if) {
+      collectErrors(subschema, value, path, errors);
+    }
+  });
+  return errors;
+}
+
+function validate(schema, value) {
+  const errors = collectErrors(schema, value, '$', []);
+  return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  eventSchema,
+  eventPayloadSchema,
+  metricSchema,
+  metricsPayloadSchema,
+  validate,
+  validateEvent: event => validate(eventSchema, event),
+  validateEventPayload: payload => validate(eventPayloadSchema, payload),
+  validateMetricsPayload: payload => validate(metricsPayloadSchema, payload)
+};
@@ -0,0 +1,53 @@
+// How far the user explored a results page: the deepest scroll position as a percentage of the
+// page and the deepest result position that became visible, per search request. The depth is
+// reported once per search request, when the page is left.
+class ScrollDepth {
+  constructor() {
+    this.reported = new Set(); // searchRequestIds whose depth was reported
+    this.reset();
+  }
+
+  // Starts over for the next page
+  reset() {
+    this.maxScrollPercent = 0;
+    this.maxVisiblePositions = new Map(); // searchRequestId -> deepest visible position
+    this.recordScroll();
+  }
+
+  recordScroll() {
+    const pageHeight = document.documentElement.scrollHeight;
+    const viewportBottom = window.scrollY + window.innerHeight;
+    // Pages that fit in the viewport are seen completely
+    const percent = pageHeight > window.innerHeight ? Math.round(viewportBottom / pageHeight * 100) : 100;
+    this.maxScrollPercent = Math.max(this.maxScrollPercent, Math.min(percent, 100));
+  }
+
+  recordVisible(searchRequestId, position) {
+    if (!searchRequestId || !position) return;
+    this.maxVisiblePositions.set(
+      searchRequestId,
+      Math.max(this.maxVisiblePositions.get(searchRequestId) || 0, position)
+    );
+  }
+
+  // Returns the depth of every search request on the page that was not reported yet. Without
+  // visible results the depth is attributed to the given search request, if any.
+  flush(pageSearchRequestId) {
+    const searchRequestIds = new Set(this.maxVisiblePositions.keys());
+    if (searchRequestIds.size === 0 && pageSearchRequestId) {
+      searchRequestIds.add(pageSearchRequestId);
+    }
+
+    const depths = [...searchRequestIds]
+      .filter(searchRequestId => !this.reported.has(searchRequestId))
+      .map(searchRequestId => ({
+        searchRequestId,
+        maxScrollPercent: this.maxScrollPercent,
+        maxVisiblePosition: this.maxVisiblePositions.get(searchRequestId)
+      }));
+    depths.forEach(depth => this.reported.add(depth.searchRequestId));
+    return depths;
+  }
+}
+
+module.exports = ScrollDepth;
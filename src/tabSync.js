@@ -0,0 +1,59 @@
+const CHANNEL_NAME = 'search-behavior-analysis-collector';
+
+// Relays state changes to the other tabs of the same origin. Uses BroadcastChannel where
+// available, otherwise a localStorage key whose storage events reach the other tabs. The key
+// is removed right after writing, so nothing is kept and every message is a change.
+class TabSync {
+  constructor(onMessage, options = {}) {
+    this.onMessage = onMessage;
+    this.storageKey = options.storageKey || 'tracker_tab_sync';
+
+    if (typeof BroadcastChannel === 'function') {
+      this.channel = new BroadcastChannel(options.channelName || CHANNEL_NAME);
+      this.channel.onmessage = event => this.receive(event.data);
+    } else {
+      // Storage events only fire in the tabs that did not write the key
+      this._storageListener = event => {
+        if (event.key !== this.storageKey || !event.newValue) return;
+        try {
+          this.receive(JSON.parse(event.newValue));
+        } catch (error) {
+          console.warn('Ignoring malformed tab sync message:', error);
+        }
+      };
+      window.addEventListener('storage', this._storageListener);
+    }
+  }
+
+  post(type, data) {
+    const message = { type, data };
+    try {
+      if (this.channel) {
+        this.channel.postMessage(message);
+      } else {
+        localStorage.setItem(this.storageKey, JSON.stringify(message));
+        localStorage.removeItem(this.storageKey);
+      }
+    } catch (error) {
+      // Other tabs catch up on their own, e.g. through session expiration
+      console.warn('Failed to sync tabs:', error);
+    }
+  }
+
+  receive(message) {
+    if (message && typeof message.type === 'string') {
+      this.onMessage(message.type, message.data);
+    }
+  }
+
+  close() {
+    if (this.channel) {
+      this.channel.close();
+    }
+    if (this._storageListener) {
+      window.removeEventListener('storage', this._storageListener);
+    }
+  }
+}
+
+module.exports = TabSync;
@@ -1,3 +1,28 @@
+const PersistentQueue = require('./queue');
+const ScrollDepth = require('./scroll');
+const TabSync = require('./tabSync');
+const { WebVitals, getScriptAttribution } = require('./webVitals');
+const { getErrorDetails } = require('./errors');
+const { transports, chunkPayload, getByteLength } = require('./transports');
+const { classifyReformulation } = require('./reformulation');
+const schema = require('./schema');
+
+// Activity refreshes the stored session at most this often
+const SESSION_TOUCH_INTERVAL = 5000;
+// Events that do not count as user activity
+const PASSIVE_EVENT_TYPES = ['session_start', 'session_end', 'abandonment', 'js_error'];
+// Interaction that keeps the session alive
+const ACTIVITY_EVENT_TYPES = ['pointerdown', 'keydown', 'scroll', 'touchstart'];
+// Tasks block the main thread for the part of their duration above this
+const LONG_TASK_THRESHOLD = 50;
+// Routes whose DOM keeps changing, e.g. because of an animation, settle after this long
+const MAX_SOFT_NAVIGATION_DURATION = 10000;
+
+// Nearest-rank percentile of ascending values
+function percentile(sortedValues, fraction) {
+  return sortedValues[Math.max(Math.ceil(fraction * sortedValues.length) - 1, 0)];
+}
+
 class SearchBehaviorAnalysisCollector {
   constructor(config = {}) {
     this.config = {
@@ -6,26 +31,150 @@ class SearchBehaviorAnalysisCollector {
       selector: config.selector || '.trackable-item',
       dataAttribute: config.dataAttribute || 'data-item-id',
       searchRequestIdAttribute: config.searchRequestIdAttribute || 'data-search-request-id',
-      sessionTimeout: config.sessionTimeout || 30 * 60 * 1000, // 30 minutes
+      positionAttribute: config.positionAttribute || 'data-position', // Explicit rank of an item
+      pageAttribute: config.pageAttribute || 'data-page', // Page of a result container, 1-based
+      pageSizeAttribute: config.pageSizeAttribute || 'data-page-size',
+      pageSize: config.pageSize || null, // Results per page when neither the container nor the search tells
+      layoutAttribute: config.layoutAttribute || 'data-layout', // 'list', 'grid' or 'carousel' on a result container
+      actionAttribute: config.actionAttribute || 'data-track-action', // Secondary actions inside an item
+      actionPropertyPrefix: config.actionPropertyPrefix || 'data-track-', // Extra properties of an action
+      sessionTimeout: config.sessionTimeout || 30 * 60 * 1000, // 30 minutes of inactivity
+      maxSessionDuration: config.maxSessionDuration || null, // Absolute session length in milliseconds
+      sessionEndsAtMidnight: config.sessionEndsAtMidnight === true, // Start a new session every day
+      sessionTimezone: config.sessionTimezone || null, // IANA timezone of midnight, defaults to the browser's
       batchSize: config.batchSize || 10,
       sendInterval: config.sendInterval || 10000, // 10 seconds
+      metricsBatchSize: config.metricsBatchSize || 20, // Performance metrics to batch before sending
+      metricsSendInterval: config.metricsSendInterval || 10000, // 10 seconds
+      resourceAggregationEnabled: config.resourceAggregationEnabled === true, // Summaries instead of every resource
+      resourceIncludePatterns: config.resourceIncludePatterns || [], // Strings or RegExps, all resources when empty
+      resourceExcludePatterns: config.resourceExcludePatterns || [], // Strings or RegExps
       sessionId: config.sessionId || null, // Allow session ID injection
       searchRequestId: config.searchRequestId || null, // Allow searchRequestId injection
       performanceMetricsEnabled: config.performanceMetricsEnabled !== false, // Default to true
+      impressionTrackingEnabled: config.impressionTrackingEnabled !== false, // Default to true
+      impressionThreshold: config.impressionThreshold || 0.5, // Visible ratio an item must reach
+      impressionMinDuration: config.impressionMinDuration ?? 1000, // 1 second in view
+      scrollTrackingEnabled: config.scrollTrackingEnabled !== false, // Default to true
+      abandonmentTrackingEnabled: config.abandonmentTrackingEnabled !== false, // Default to true
+      searchInputSelector: config.searchInputSelector || null, // Opt-in search box tracking, e.g. 'input[name="q"]'
+      queryTypedDelay: config.queryTypedDelay || 1000, // Typing pause after which a query_typed event is sent
+      suggestionSelector: config.suggestionSelector || null, // Opt-in typeahead tracking, e.g. '.suggestion'
+      suggestionAttribute: config.suggestionAttribute || 'data-suggestion', // Suggested text, defaults to the text content
+      suggestionRequestIdAttribute: config.suggestionRequestIdAttribute || 'data-suggestion-request-id',
+      suggestionPrefixAttribute: config.suggestionPrefixAttribute || 'data-suggestion-prefix',
+      dwellTrackingEnabled: config.dwellTrackingEnabled !== false, // Default to true
+      pogoStickThreshold: config.pogoStickThreshold || 10000, // Back on the results within 10 seconds
+      longDwellThreshold: config.longDwellThreshold || 30000, // 30 seconds counts as a satisfied click
+      persistentQueueEnabled: config.persistentQueueEnabled !== false, // Keep failed batches across reloads
+      maxQueueSize: config.maxQueueSize || 50, // Failed batches kept for retry
+      queueDropPolicy: config.queueDropPolicy || 'drop_oldest', // Or 'drop_newest' when the queue is full
+      retryBaseDelay: config.retryBaseDelay || 1000, // 1 second
+      retryMaxDelay: config.retryMaxDelay || 5 * 60 * 1000, // 5 minutes
+      requireConsent: config.requireConsent === true, // Start in pending consent state
+      consentBufferSize: config.consentBufferSize || 100, // Events kept in memory while consent is pending
+      plugins: config.plugins || [],
+      validationMode: config.validationMode || 'off', // 'off', 'report' or 'reject' invalid events
+      eventSampleRate: config.eventSampleRate ?? 1, // Share of sessions whose events are sent
+      metricsSampleRate: config.metricsSampleRate ?? 1, // Share of sessions whose metrics are sent
+      metricSampleRates: config.metricSampleRates || {}, // Per metric type overrides, e.g. { RESOURCE: 0.01 }
+      compressionEnabled: config.compressionEnabled === true, // Gzip fetch requests where CompressionStream exists
+      transport: config.transport || 'fetch', // 'fetch', 'keepalive', 'beacon', 'xhr' or a custom transport
+      unloadTransport: config.unloadTransport || 'beacon', // Transport used when the page is hidden or left
+      browserInfoOncePerSession: config.browserInfoOncePerSession === true, // Later batches reference it by id
+      tabSyncEnabled: config.tabSyncEnabled !== false, // Share session, search and consent changes across tabs
+      pageViewTrackingEnabled: config.pageViewTrackingEnabled !== false, // Default to true
+      pageViewQueryParams: config.pageViewQueryParams || [], // Query parameters sent with page views, e.g. ['q', 'page']
+      softNavigationQuietPeriod: config.softNavigationQuietPeriod || 300, // DOM quiet time after which a route has settled
+      errorTrackingEnabled: config.errorTrackingEnabled === true, // Opt-in js_error events
+      maxErrorsPerSession: config.maxErrorsPerSession || 10, // Distinct errors reported per session
     };
 
     this.events = [];
     this.performanceMetrics = []; // Separate array for performance metrics
-    this.sessionId = this.getOrCreateSessionId();
+    this._resourceTimings = new Map(); // `${initiatorType} ${origin}` -> timings aggregated for the page
+    this.searchContext = null; // Last search tracked through trackSearch
+    this.plugins = [];
+    // null while consent is pending, otherwise the granted purposes
+    this.consent = this.config.requireConsent ? null : { analytics: true, performance: true };
+    this._consentBuffer = { events: [], performanceMetrics: [] };
+    this.sessionId = null;
+    this.colorIdentifier = null;
+    this._lastSessionTouch = 0;
+    // Samples metrics sent without a session, which only lives as long as the page
+    this._samplingSeed = this.generateUUID();
+    // Registered before anything is tracked so plugins see every event, e.g. session_start.
+    // Their onInit runs once the tracker is set up, see the end of the constructor.
+    this.plugins.push(...this.config.plugins);
+    // Everything sending needs exists before the first event is queued, a new session queues
+    // session_start right away and a small batchSize sends it
     this.browserInfo = this.getBrowserInfo();
-    this.colorIdentifier = this.getOrCreateColorIdentifier();
     this.utmParams = this.getUtmParameters();
+    this.transport = this.resolveTransport('transport', 'fetch');
+    this.unloadTransport = this.resolveTransport('unloadTransport', 'beacon');
+    this._unloadBytes = 0; // Bytes sent through size-limited transports since the page was hidden
+    this.retryQueue = new PersistentQueue({
+      maxSize: this.config.maxQueueSize,
+      dropPolicy: this.config.queueDropPolicy,
+      persistent: this.config.persistentQueueEnabled,
+      open: false
+    });
+    this._retryBackoff = {}; // url -> { failures, retryAt }
+    // Replay batches stored by previous page loads
+    this.retryQueue.ready.then(() => this.scheduleRetry());
+    if (this.hasConsent('analytics') || this.hasConsent('performance')) {
+      this.retryQueue.open();
+    }
+    if (this.hasConsent('analytics')) {
+      this.initializeIdentifiers();
+    }
     this.currentPath = window.location.pathname;
+    this._pendingSearch = null; // Search without a result click or action yet
+    this._renderedResults = new Map(); // searchRequestId -> whether its results container showed items
+    if (this.config.searchRequestId) {
+      this.watchSearch(this.config.searchRequestId);
+    }
     this.setupEventListeners();
+
+    if (this.config.pageViewTrackingEnabled) {
+      // Reloads count as loads, restoring the page from the history is a back/forward navigation
+      const navigationEntry = performance.getEntriesByType?.('navigation')[0];
+      this.trackPageView(navigationEntry?.type === 'back_forward' ? 'back_forward' : 'load', null);
+    }
+
+    if (this.config.tabSyncEnabled) {
+      this.tabSync = new TabSync((type, data) => this.handleTabMessage(type, data));
+    }
+
+    if (this.config.dwellTrackingEnabled) {
+      this.resumeDwell();
+    }
    
     if (this.config.performanceMetricsEnabled) {
       this.setupPerformanceObserver();
     }
+
+    if (this.config.scrollTrackingEnabled) {
+      this.setupScrollTracking();
+    }
+
+    if (this.config.errorTrackingEnabled) {
+      this.setupErrorTracking();
+    }
+
+    if (this.config.searchInputSelector) {
+      this.setupSearchInputTracking();
+    }
+
+    if (this.config.suggestionSelector) {
+      this.setupSuggestionTracking();
+    }
+
+    // Scroll depth uses the impression observer to find the deepest visible result
+    if (this.config.impressionTrackingEnabled || this.config.scrollTrackingEnabled) {
+      this.setupImpressionObserver();
+    }
+    this.setupResultObserver();
     
     // Check session expiration periodically
     this._sessionInterval = setInterval(() => this.checkSessionExpiration(), 60000); // Check every minute
@@ -35,6 +184,49 @@ class SearchBehaviorAnalysisCollector {
         this.sendEvents();
       }
     }, this.config.sendInterval);
+    this._metricsInterval = setInterval(() => {
+      if (this.performanceMetrics.length > 0) {
+        this.sendPerformanceMetrics();
+      }
+    }, this.config.metricsSendInterval);
+
+    this.config.plugins.forEach(plugin => this.runPluginHook(plugin, 'onInit', this));
+  }
+
+  // Register a plugin. Hooks: onInit, beforeTrack, beforeSend, afterSend and onError
+  use(plugin) {
+    this.plugins.push(plugin);
+    this.runPluginHook(plugin, 'onInit', this);
+    return this;
+  }
+
+  runPluginHook(plugin, hook, ...args) {
+    if (typeof plugin[hook] !== 'function') return undefined;
+    try {
+      return plugin[hook](...args);
+    } catch (error) {
+      // A broken plugin must not take tracking down with it
+      console.error(`Error in plugin ${plugin.name || 'anonymous'} ${hook}:`, error);
+      return undefined;
+    }
+  }
+
+  // Pass an item through a transforming hook. Returning null or false drops it,
+  // returning nothing keeps the (possibly mutated) item.
+  applyPlugins(hook, item, context) {
+    let current = item;
+    for (const plugin of this.plugins) {
+      const result = this.runPluginHook(plugin, hook, current, { ...context, tracker: this });
+      if (result === null || result === false) return null;
+      if (result !== undefined) {
+        current = result;
+      }
+    }
+    return current;
+  }
+
+  notifyPlugins(hook, ...args) {
+    this.plugins.forEach(plugin => this.runPluginHook(plugin, hook, ...args));
   }
 
   getBrowserInfo() {
@@ -80,21 +272,17 @@ class SearchBehaviorAnalysisCollector {
       this._observers.forEach(observer => observer.disconnect());
     }
     this._observers = [];
+    // Entries from before the collector started belong to the first page, not to later routes
+    const buffered = !this.webVitals;
+    this.webVitals = new WebVitals();
+    this._blockingTime = null; // Total Blocking Time of the page view where long tasks are observed
 
     if ('PerformanceObserver' in window) {
-      // LCP Observer
+      // LCP Observer, every candidate replaces the previous one
       const lcpObserver = new PerformanceObserver((entryList) => {
-        const entries = entryList.getEntries();
-        const lastEntry = entries[entries.length - 1];
-        this.trackPerformanceMetric({
-          type: 'LCP',
-          value: lastEntry.startTime,
-          element: lastEntry.element?.tagName || 'unknown',
-          size: lastEntry.size,
-          url: lastEntry.url
-        });
+        entryList.getEntries().forEach(entry => this.webVitals.recordLcp(entry));
       });
-      lcpObserver.observe({ entryTypes: ['largest-contentful-paint'] });
+      lcpObserver.observe({ type: 'largest-contentful-paint', buffered });
       this._observers.push(lcpObserver);
 
       // FCP Observer
@@ -108,55 +296,58 @@ class SearchBehaviorAnalysisCollector {
       fcpObserver.observe({ entryTypes: ['paint'] });
       this._observers.push(fcpObserver);
 
-      // FID Observer (First Input Delay)
-      const fidObserver = new PerformanceObserver((entryList) => {
-        const entries = entryList.getEntries();
-        entries.forEach(entry => {
-          this.trackPerformanceMetric({
-            type: 'FID',
-            value: entry.processingStart - entry.startTime,
-            name: entry.name
-          });
-        });
+      // INP Observer (Interaction to Next Paint). Event timing only reports interactions from
+      // 16ms on, the first input is reported whatever its duration.
+      const inpObserver = new PerformanceObserver((entryList) => {
+        entryList.getEntries().forEach(entry => this.webVitals.recordInteraction(entry));
       });
-      fidObserver.observe({ entryTypes: ['first-input'] });
-      this._observers.push(fidObserver);
+      inpObserver.observe({ type: 'event', buffered, durationThreshold: 16 });
+      inpObserver.observe({ type: 'first-input', buffered });
+      this._observers.push(inpObserver);
 
       // CLS Observer (Cumulative Layout Shift)
       const clsObserver = new PerformanceObserver((entryList) => {
-        let clsValue = 0;
-        const entries = entryList.getEntries();
-        entries.forEach(entry => {
-          if (!entry.hadRecentInput) {
-            clsValue += entry.value;
-          }
-        });
-        this.trackPerformanceMetric({
-          type: 'CLS',
-          value: clsValue
-        });
+        entryList.getEntries().forEach(entry => this.webVitals.recordLayoutShift(entry));
       });
-      clsObserver.observe({ entryTypes: ['layout-shift'] });
+      clsObserver.observe({ type: 'layout-shift', buffered });
       this._observers.push(clsObserver);
 
+      // Main-thread blocking. Long tasks only tell the frame they ran in, long animation
+      // frames tell the scripts that ran in them.
+      const supportedEntryTypes = PerformanceObserver.supportedEntryTypes || [];
+      if (supportedEntryTypes.includes('longtask')) {
+        this._blockingTime = { total: 0, reported: null };
+        const longTaskObserver = new PerformanceObserver((entryList) => {
+          entryList.getEntries().forEach(entry => this.recordLongTask(entry));
+        });
+        longTaskObserver.observe({ type: 'longtask', buffered });
+        this._observers.push(longTaskObserver);
+      }
+      if (supportedEntryTypes.includes('long-animation-frame')) {
+        const longAnimationFrameObserver = new PerformanceObserver((entryList) => {
+          entryList.getEntries().forEach(entry => this.trackPerformanceMetric({
+            type: 'LONG_ANIMATION_FRAME',
+            duration: entry.duration,
+            blockingDuration: entry.blockingDuration,
+            scripts: getScriptAttribution(entry.scripts),
+            path: this.currentPath,
+            searchRequestId: this.config.searchRequestId
+          }));
+        });
+        longAnimationFrameObserver.observe({ type: 'long-animation-frame', buffered });
+        this._observers.push(longAnimationFrameObserver);
+      }
+
       // Resource Timing Observer
       const resourceObserver = new PerformanceObserver((entryList) => {
         const entries = entryList.getEntries();
-        entries.forEach(entry => {
-          this.trackPerformanceMetric({
-            type: 'RESOURCE',
-            name: entry.name,
-            duration: entry.duration,
-            size: entry.transferSize,
-            initiatorType: entry.initiatorType
-          });
-        });
+        entries.forEach(entry => this.recordResourceTiming(entry));
       });
       resourceObserver.observe({ entryTypes: ['resource'] });
       this._observers.push(resourceObserver);
 
-      // Navigation Timing
-      const navigationEntry = performance.getEntriesByType('navigation')[0];
+      // Navigation Timing, later routes report their soft navigation instead
+      const navigationEntry = buffered && performance.getEntriesByType('navigation')[0];
       if (navigationEntry) {
         this.trackPerformanceMetric({
           type: 'NAVIGATION',
@@ -171,50 +362,166 @@ class SearchBehaviorAnalysisCollector {
     }
   }
 
+  recordResourceTiming(entry) {
+    if (!this.shouldRecordResource(entry.name)) return;
+
+    if (!this.config.resourceAggregationEnabled) {
+      this.trackPerformanceMetric({
+        type: 'RESOURCE',
+        name: entry.name,
+        duration: entry.duration,
+        size: entry.transferSize,
+        initiatorType: entry.initiatorType
+      });
+      return;
+    }
+
+    let origin;
+    try {
+      origin = new URL(entry.name, window.location.href).origin;
+    } catch {
+      origin = 'unknown';
+    }
+    const key = `${entry.initiatorType} ${origin}`;
+    if (!this._resourceTimings.has(key)) {
+      this._resourceTimings.set(key, { initiatorType: entry.initiatorType, origin, totalSize: 0, durations: [] });
+    }
+    const timings = this._resourceTimings.get(key);
+    timings.totalSize += entry.transferSize || 0;
+    timings.durations.push(entry.duration);
+  }
+
+  // Include and exclude patterns are substrings or regular expressions. Requests to the
+  // collector's own endpoints are never recorded, each batch would report the previous one.
+  shouldRecordResource(url) {
+    const matches = pattern => (pattern instanceof RegExp ? pattern.test(url) : url.includes(pattern));
+    const { resourceIncludePatterns, resourceExcludePatterns } = this.config;
+
+    const ownEndpoints = [this.config.endpoint, this.config.metricsEndpoint]
+      .map(endpoint => new URL(endpoint, window.location.href).href);
+    if (ownEndpoints.some(endpoint => url.startsWith(endpoint))) return false;
+    if (resourceIncludePatterns.length > 0 && !resourceIncludePatterns.some(matches)) return false;
+    return !resourceExcludePatterns.some(matches);
+  }
+
+  // Aggregated resource timings of the page, reported when it is hidden or the route changes
+  flushResourceTimings() {
+    this._resourceTimings.forEach(({ durations, ...timings }) => {
+      const sortedDurations = durations.sort((a, b) => a - b);
+      this.trackPerformanceMetric({
+        type: 'RESOURCE_SUMMARY',
+        ...timings,
+        count: durations.length,
+        p50Duration: percentile(sortedDurations, 0.5),
+        p95Duration: percentile(sortedDurations, 0.95),
+        path: this.currentPath
+      });
+    });
+    this._resourceTimings.clear();
+  }
+
+  recordLongTask(entry) {
+    const blockingDuration = Math.max(entry.duration - LONG_TASK_THRESHOLD, 0);
+    this._blockingTime.total += blockingDuration;
+    this.trackPerformanceMetric({
+      type: 'LONG_TASK',
+      duration: entry.duration,
+      blockingDuration,
+      name: entry.name, // Frame the task ran in, e.g. 'self' or 'cross-origin-descendant'
+      url: entry.attribution?.[0]?.containerSrc || undefined,
+      path: this.currentPath,
+      searchRequestId: this.config.searchRequestId
+    });
+  }
+
+  // Like CLS the Total Blocking Time of a page view grows until the user leaves, it is reported
+  // when the page is hidden or the route changes and it changed since the last report
+  reportTotalBlockingTime() {
+    if (!this._blockingTime || this._blockingTime.total === this._blockingTime.reported) return;
+
+    this._blockingTime.reported = this._blockingTime.total;
+    this.trackPerformanceMetric({
+      type: 'TBT',
+      value: this._blockingTime.total,
+      path: this.currentPath,
+      searchRequestId: this.config.searchRequestId
+    });
+  }
+
+  // LCP, CLS and INP only settle once the user leaves, they are reported when the page is
+  // hidden or the route changes, with the path they were measured on
+  reportWebVitals() {
+    if (!this.webVitals) return;
+    this.webVitals.report().forEach(metric => {
+      this.trackPerformanceMetric({ ...metric, path: this.currentPath });
+    });
+  }
+
   trackPerformanceMetric(metricData) {
-    this.performanceMetrics.push({
+    const metric = this.applyPlugins('beforeTrack', {
       ...metricData,
       timestamp: new Date().toISOString(),
       sessionId: this.sessionId
-    });
+    }, { kind: 'performanceMetrics' });
+    if (!metric) return;
+
+    if (!this.hasConsent('performance')) {
+      this.bufferUntilConsent('performanceMetrics', metric);
+      return;
+    }
+    this.performanceMetrics.push(metric);
 
-    // Send performance metrics immediately to ensure timely data
-    this.sendPerformanceMetrics();
+    if (this.performanceMetrics.length >= this.config.metricsBatchSize) {
+      this.sendPerformanceMetrics();
+    }
   }
 
-  async sendPerformanceMetrics() {
-    if (this.performanceMetrics.length === 0) return;
+  async sendPerformanceMetrics(unloading = false) {
+    if (this.performanceMetrics.length === 0 || !this.hasConsent('performance')) return;
 
-    const metricsToSend = [...this.performanceMetrics];
+    const metricsToSend = this.performanceMetrics
+      .map(metric => ({ ...metric, sampleRate: this.getMetricSampleRate(metric.type) }))
+      .filter(metric => this.isSampled(metric.sampleRate, metric.sessionId));
     this.performanceMetrics = [];
+    if (metricsToSend.length === 0) return;
 
     const data = {
+      schemaVersion: schema.SCHEMA_VERSION,
+      sampleRate: this.config.metricsSampleRate,
       performanceMetrics: metricsToSend,
       sessionId: this.sessionId,
       colorIdentifier: this.colorIdentifier,
-      browserInfo: this.browserInfo,
+      ...this.getBrowserInfoFields(),
       timestamp: new Date().toISOString()
     };
 
-    try {
-      const response = await fetch(this.config.metricsEndpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(data),
-      });
+    await this.deliverBatch(this.config.metricsEndpoint, data, 'Error sending performance metrics:', unloading);
+  }
 
-      if (!response.ok) {
-        // Put metrics back in the queue
-        this.performanceMetrics = [...metricsToSend, ...this.performanceMetrics];
-        throw new Error('Failed to send performance metrics');
-      }
-    } catch (error) {
-      console.error('Error sending performance metrics:', error);
-      // Put metrics back in the queue
-      this.performanceMetrics = [...metricsToSend, ...this.performanceMetrics];
+  getMetricSampleRate(type) {
+    return this.config.metricSampleRates[type] ?? this.config.metricsSampleRate;
+  }
+
+  // Sampling is decided per session so a sampled session is always complete
+  isSampled(rate, sessionId) {
+    if (rate >= 1) return true;
+    if (rate <= 0) return false;
+    return this.getSamplingValue(sessionId || this._samplingSeed) < rate;
+  }
+
+  // Maps an id to a stable value in [0, 1)
+  getSamplingValue(id) {
+    return this.hashString(id) / 0x100000000;
+  }
+
+  // 32-bit FNV-1a hash
+  hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
     }
+    return hash >>> 0;
   }
 
   getOrCreateSessionId() {
@@ -226,22 +533,102 @@ class SearchBehaviorAnalysisCollector {
     }
 
     // Get existing session ID from localStorage
+    const session = this.getStoredSession();
+    if (session) {
+      const endReason = this.getSessionEndReason(session);
+      if (!endReason) {
+        return session.sessionId;
+      }
+      // The session expired while no tab was tracking
+      this.endSession(endReason);
+    }
+
+    return this.startSession();
+  }
+
+  // tracker_session_timestamp holds the last activity, sessions stored before it existed started then
+  getStoredSession() {
     const sessionId = localStorage.getItem('tracker_session_id');
-    const sessionTimestamp = localStorage.getItem('tracker_session_timestamp');
+    if (!sessionId) return null;
 
-    // Check if session exists and hasn't expired
-    if (sessionId && sessionTimestamp) {
-      const sessionAge = new Date().getTime() - new Date(sessionTimestamp).getTime();
-      if (sessionAge < this.config.sessionTimeout) {
-        return sessionId;
-      }
+    const lastActivityAt = Date.parse(localStorage.getItem('tracker_session_timestamp')) || 0;
+    const startedAt = Date.parse(localStorage.getItem('tracker_session_start')) || lastActivityAt;
+    return { sessionId, startedAt, lastActivityAt };
+  }
+
+  // Why the session is over, null while it is still running
+  getSessionEndReason(session, now = Date.now()) {
+    if (now - session.lastActivityAt >= this.config.sessionTimeout) {
+      return 'inactivity';
+    }
+    if (this.config.maxSessionDuration && now - session.startedAt >= this.config.maxSessionDuration) {
+      return 'max_duration';
+    }
+    if (this.config.sessionEndsAtMidnight && this.getSessionDay(session.startedAt) !== this.getSessionDay(now)) {
+      return 'midnight';
+    }
+    return null;
+  }
+
+  // Calendar day of a timestamp in the configured timezone, e.g. '2024-01-31'
+  getSessionDay(time) {
+    const options = { year: 'numeric', month: '2-digit', day: '2-digit' };
+    try {
+      return new Intl.DateTimeFormat('en-CA', { ...options, timeZone: this.config.sessionTimezone || undefined })
+        .format(time);
+    } catch (error) {
+      console.warn('Invalid session timezone, using the browser timezone:', error);
+      this.config.sessionTimezone = null;
+      return new Intl.DateTimeFormat('en-CA', options).format(time);
+    }
+  }
+
+  startSession() {
+    const sessionId = this.generateUUID();
+    const timestamp = new Date().toISOString();
+    localStorage.setItem('tracker_session_id', sessionId);
+    localStorage.setItem('tracker_session_timestamp', timestamp);
+    localStorage.setItem('tracker_session_start', timestamp);
+
+    this.queueEvent({ type: 'session_start', sessionId, timestamp });
+    this.tabSync?.post('session');
+    return sessionId;
+  }
+
+  // Ends the stored session, the next activity starts a new one
+  endSession(reason) {
+    const session = this.getStoredSession();
+    if (!session) return;
+
+    if (!['conversion', 'reset'].includes(reason)) {
+      this.abandonSearch('session_timeout');
     }
+    localStorage.removeItem('tracker_session_id');
+    localStorage.removeItem('tracker_session_timestamp');
+    localStorage.removeItem('tracker_session_start');
+    this.sessionId = null;
+
+    this.queueEvent({
+      type: 'session_end',
+      sessionId: session.sessionId,
+      reason,
+      duration: Math.max(session.lastActivityAt - session.startedAt, 0),
+      timestamp: new Date().toISOString()
+    });
+    this.tabSync?.post('session');
+  }
+
+  // User interaction and tracked events keep the session alive. Activity after the session
+  // ended starts a new one.
+  touchSession() {
+    if (!this.hasConsent('analytics')) return;
 
-    // Create new session if none exists or if expired
-    const newSessionId = this.generateUUID();
-    localStorage.setItem('tracker_session_id', newSessionId);
-    localStorage.setItem('tracker_session_timestamp', new Date().toISOString());
-    return newSessionId;
+    const now = Date.now();
+    if (this.sessionId && now - this._lastSessionTouch < SESSION_TOUCH_INTERVAL) return;
+    this._lastSessionTouch = now;
+
+    this.sessionId = this.getOrCreateSessionId();
+    localStorage.setItem('tracker_session_timestamp', new Date(now).toISOString());
   }
 
   generateUUID() {
@@ -259,34 +646,67 @@ class SearchBehaviorAnalysisCollector {
 
   setupEventListeners() {
     // Store listener references for cleanup
+    // Captured on the window, so the session is refreshed before the interaction is tracked
+    this._activityListener = () => this.touchSession();
+    ACTIVITY_EVENT_TYPES.forEach(type => {
+      window.addEventListener(type, this._activityListener, { capture: true, passive: true });
+    });
+
     this._clickListener = (event) => {
-      const target = event.target.closest(this.config.selector);
-      if (target) {
-        const itemId = target.getAttribute(this.config.dataAttribute);
-        if (itemId) {
-          // Find all matching elements and get the index of the clicked one
-          const allElements = document.querySelectorAll(this.config.selector);
-          const position = Array.from(allElements).indexOf(target) + 1; // +1 for 1-based indexing
-          
-          // Get searchRequestId from data attribute or use the one from config
-          const searchRequestId = target.getAttribute(this.config.searchRequestIdAttribute) || this.config.searchRequestId;
-          
-          this.trackClick({
-            itemId,
-            position,
-            searchRequestId,
-            timestamp: new Date().toISOString(),
-          });
-        }
-      }
+      this.handleItemActivation(event, this.getClickActivationType(event));
     };
     document.addEventListener('click', this._clickListener);
 
+    // Middle-clicks open results in a background tab and fire auxclick instead of click
+    this._auxclickListener = (event) => {
+      if (event.button === 1) {
+        this.handleItemActivation(event, 'middle');
+      }
+    };
+    document.addEventListener('auxclick', this._auxclickListener);
+
+    // The context menu is how results get opened in a new tab without a middle button
+    this._contextmenuListener = (event) => {
+      this.handleItemActivation(event, 'contextmenu');
+    };
+    document.addEventListener('contextmenu', this._contextmenuListener);
+
+    // Enter or Space on a focused result is followed by a click without pointer details
+    this._keydownListener = (event) => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        this._keyActivation = { target: event.target, time: Date.now() };
+      }
+    };
+    document.addEventListener('keydown', this._keydownListener);
+
     // Track page visibility changes
     this._visibilityListener = () => {
+      if (document.visibilityState === 'hidden') {
+        this.finishSoftNavigation();
+        this.reportWebVitals();
+        this.reportTotalBlockingTime();
+        this.flushResourceTimings();
+        // The page may be discarded while hidden
+        this.sendPerformanceMetrics(true);
+        this.flushImpressions();
+        if (this._pendingDwell) {
+          this._pendingDwell.hiddenAt = Date.now();
+        }
+      } else {
+        // Beacons and keepalive requests sent while hidden had time to complete
+        this._unloadBytes = 0;
+        if (this._pendingDwell?.hiddenAt && this.currentPath === this._pendingDwell.resultsPath) {
+          // The result was opened in another tab and the user came back to the results
+          this.endDwell('tab');
+        }
+      }
       this.trackEvent('visibility_change', {
         state: document.visibilityState
       });
+      // Mobile browsers discard hidden pages without firing pagehide
+      if (document.visibilityState === 'hidden') {
+        this.sendEvents(true);
+      }
     };
     document.addEventListener('visibilitychange', this._visibilityListener);
 
@@ -296,207 +716,1526 @@ class SearchBehaviorAnalysisCollector {
 
     history.pushState = function(state, title, url) {
       this._originalPushState.call(history, state, title, url);
-      this.handlePathChange();
+      this.handlePathChange('push');
     }.bind(this);
 
     history.replaceState = function(state, title, url) {
       this._originalReplaceState.call(history, state, title, url);
-      this.handlePathChange();
+      this.handlePathChange('replace');
     }.bind(this);
 
     // Listen for popstate events (back/forward navigation)
     this._popstateListener = () => {
-      this.handlePathChange();
+      this.handlePathChange('back_forward');
     };
     window.addEventListener('popstate', this._popstateListener);
 
-    // Track page unload
-    this._beforeunloadListener = () => {
-      this.sendEvents(true); // Force send on page unload
+    // Track page unload. Unlike beforeunload and unload, pagehide keeps the page eligible for
+    // the back/forward cache.
+    this._pagehideListener = () => {
+      this.flushImpressions();
+      this.flushScrollDepth();
+      this.abandonSearch('unload');
+      this.sendEvents(true);
     };
-    window.addEventListener('beforeunload', this._beforeunloadListener);
+    window.addEventListener('pagehide', this._pagehideListener);
   }
 
-  handlePathChange() {
+  handlePathChange(navigationType = 'push') {
     const newPath = window.location.pathname;
     if (newPath !== this.currentPath) {
+      const previousPath = this.currentPath;
+      // Items seen on the previous page are reported before the DOM is swapped out
+      this.finishSoftNavigation();
+      this.reportWebVitals();
+      this.reportTotalBlockingTime();
+      this.flushResourceTimings();
+      this.flushImpressions();
+      this.flushScrollDepth();
+      if (this._pendingSearch && newPath !== this._pendingSearch.path) {
+        this.abandonSearch('navigation');
+      }
       this.currentPath = newPath;
       this.browserInfo = this.getBrowserInfo(); // Update browser info with new path
+
+      if (this.config.pageViewTrackingEnabled) {
+        this.trackPageView(navigationType, previousPath);
+      }
       
       // Reset performance observers for the new page
       if (this.config.performanceMetricsEnabled) {
         this.setupPerformanceObserver();
+        this.startSoftNavigation(navigationType);
+      }
+
+      if (this._pendingDwell && newPath === this._pendingDwell.resultsPath) {
+        this.endDwell('navigation');
       }
     }
   }
 
-  trackEvent(eventName, eventData = {}) {
-    this.events.push({
-      type: 'custom_event',
-      name: eventName,
-      data: eventData,
-      sessionId: this.sessionId,
-      timestamp: new Date().toISOString()
+  trackPageView(navigationType, previousPath) {
+    this.queueEvent({
+      type: 'page_view',
+      path: this.currentPath,
+      previousPath,
+      referrer: document.referrer || null,
+      title: document.title,
+      queryParams: this.getPageViewQueryParams(),
+      navigationType,
+      timestamp: new Date().toISOString(),
+      sessionId: this.sessionId
     });
-
-    if (this.events.length >= this.config.batchSize) {
-      this.sendEvents();
-    }
   }
 
-  trackClick(clickData) {
-    this.events.push({
-      type: 'click',
-      ...clickData,
-      sessionId: this.sessionId
+  // Query strings may carry personal data, only allowlisted parameters are kept
+  getPageViewQueryParams() {
+    const queryParams = {};
+    new URLSearchParams(window.location.search).forEach((value, key) => {
+      if (this.config.pageViewQueryParams.includes(key)) {
+        queryParams[key] = value;
+      }
     });
+    return queryParams;
+  }
 
-    if (this.events.length >= this.config.batchSize) {
-      this.sendEvents();
+  // Client-side routes have no navigation timing. A soft navigation lasts from the route change
+  // until the last DOM change before the DOM stays quiet for softNavigationQuietPeriod.
+  startSoftNavigation(navigationType) {
+    const startedAt = Date.now();
+    this._softNavigation = { path: this.currentPath, navigationType, startedAt, settledAt: startedAt };
+    this.scheduleSoftNavigationEnd();
+  }
+
+  recordDomChange() {
+    if (!this._softNavigation) return;
+
+    this._softNavigation.settledAt = Date.now();
+    if (this._softNavigation.settledAt - this._softNavigation.startedAt >= MAX_SOFT_NAVIGATION_DURATION) {
+      this.finishSoftNavigation();
+    } else {
+      this.scheduleSoftNavigationEnd();
     }
   }
 
-  async sendEvents(useSendBeacon = false) {
-    if (this.events.length === 0) return;
+  scheduleSoftNavigationEnd() {
+    clearTimeout(this._softNavigationTimer);
+    this._softNavigationTimer = setTimeout(() => this.finishSoftNavigation(), this.config.softNavigationQuietPeriod);
+  }
 
-    const eventsToSend = [...this.events];
-    this.events = [];
+  // Also called when the route is left or the page hidden before the DOM settled
+  finishSoftNavigation() {
+    const softNavigation = this._softNavigation;
+    if (!softNavigation) return;
+    clearTimeout(this._softNavigationTimer);
+    this._softNavigation = null;
 
-    const data = {
-      events: eventsToSend,
-      sessionId: this.sessionId,
-      colorIdentifier: this.colorIdentifier,
-      browserInfo: this.browserInfo,
-      utmParams: this.utmParams,
-      timestamp: new Date().toISOString()
+    this.trackPerformanceMetric({
+      type: 'SOFT_NAVIGATION',
+      duration: softNavigation.settledAt - softNavigation.startedAt,
+      navigationType: softNavigation.navigationType,
+      path: softNavigation.path
+    });
+  }
+
+  startDwell(clickData) {
+    this._pendingDwell = {
+      itemId: clickData.itemId,
+      position: clickData.position,
+      searchRequestId: clickData.searchRequestId,
+      resultsPath: this.currentPath,
+      clickTime: Date.now()
     };
+    // Survive full page navigations within the tab so the next page load can pick it up
+    if (this.hasConsent('analytics')) {
+      sessionStorage.setItem('tracker_pending_dwell', JSON.stringify(this._pendingDwell));
+    }
+  }
 
-    try {
-      if (useSendBeacon && navigator.sendBeacon) {
-        // Use sendBeacon for more reliable sending, especially during page unload
-        const success = navigator.sendBeacon(
-          this.config.endpoint,
-          new Blob([JSON.stringify(data)], { type: 'application/json' })
-        );
-        
-        if (!success) {
-          // If sendBeacon fails, put events back in the queue
-          this.events = [...eventsToSend, ...this.events];
-          throw new Error('Failed to send events via sendBeacon');
-        }
-      } else {
-        // Fallback to fetch for normal operation
-        const response = await fetch(this.config.endpoint, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(data),
-        });
+  resumeDwell() {
+    const storedDwell = sessionStorage.getItem('tracker_pending_dwell');
+    if (!storedDwell) return;
 
-        if (!response.ok) {
-          // Put events back in the queue
-          this.events = [...eventsToSend, ...this.events];
-          throw new Error('Failed to send events');
-        }
-      }
-    } catch (error) {
-      console.error('Error sending events:', error);
-      // Put events back in the queue
-      this.events = [...eventsToSend, ...this.events];
+    this._pendingDwell = JSON.parse(storedDwell);
+    if (Date.now() - this._pendingDwell.clickTime >= this.config.sessionTimeout) {
+      // Too old to say anything about the click
+      this.clearDwell();
+    } else if (this.currentPath === this._pendingDwell.resultsPath) {
+      this.endDwell('navigation');
     }
   }
 
-  resetSession() {
-    localStorage.removeItem('tracker_session_id');
-    localStorage.removeItem('tracker_session_timestamp');
-    this.sessionId = this.getOrCreateSessionId();
-  }
+  endDwell(returnType) {
+    const pendingDwell = this._pendingDwell;
+    this.clearDwell();
 
-  // Add method to check session expiration
-  checkSessionExpiration() {
-    const sessionTimestamp = localStorage.getItem('tracker_session_timestamp');
-    if (sessionTimestamp) {
-      const sessionAge = new Date().getTime() - new Date(sessionTimestamp).getTime();
-      if (sessionAge >= this.config.sessionTimeout) {
-        this.resetSession();
-      }
+    const dwellTime = Date.now() - pendingDwell.clickTime;
+    let outcome = 'long_click';
+    if (dwellTime < this.config.pogoStickThreshold) {
+      outcome = 'pogo_stick';
+    } else if (dwellTime < this.config.longDwellThreshold) {
+      outcome = 'short_click';
     }
+
+    this.trackDwell({
+      itemId: pendingDwell.itemId,
+      position: pendingDwell.position,
+      searchRequestId: pendingDwell.searchRequestId,
+      dwellTime,
+      outcome,
+      returnType,
+      timestamp: new Date().toISOString(),
+    });
   }
 
-  // Utility method to track conversion events
-  trackConversion(conversionData) {
-    this.trackEvent('conversion', conversionData);
-    this.resetSession();
+  clearDwell() {
+    this._pendingDwell = null;
+    sessionStorage.removeItem('tracker_pending_dwell');
   }
 
-  getOrCreateColorIdentifier() {
-    let colorIdentifier = localStorage.getItem('colorschema_identifier');
-    if (!colorIdentifier) {
-      // Generate two random colors for anonymous identification
-      const color1 = this.generateRandomColor();
-      const color2 = this.generateRandomColor();
-      colorIdentifier = `${color1}-${color2}`;
-      localStorage.setItem('colorschema_identifier', colorIdentifier);
+  // Rank of an item: an explicit position attribute wins, otherwise the 1-based index within
+  // its result container plus the offset of the page it is on
+  getItemPosition(element) {
+    const explicitPosition = parseInt(element.getAttribute(this.config.positionAttribute), 10);
+    if (!Number.isNaN(explicitPosition)) return explicitPosition;
+
+    const container = this.getResultContainer(element);
+    let position = this._positionCache?.get(element);
+    if (position === undefined) {
+      position = this.indexResultContainer(container).get(element);
     }
-    return colorIdentifier;
+    if (!position) return 0;
+    return position + this.getPageOffset(element, container);
   }
 
-  generateRandomColor() {
-    const letters = '0123456789ABCDEF';
-    let color = '#';
-    for (let i = 0; i < 6; i++) {
-      color += letters[Math.floor(Math.random() * 16)];
+  // Nearest ancestor carrying a search request id, the whole document when results are not grouped
+  getResultContainer(element) {
+    return element.parentElement?.closest(`[${this.config.searchRequestIdAttribute}]`) || document;
+  }
+
+  // Items of nested containers belong to their own container
+  getContainerItems(container) {
+    let items = this._containerItems?.get(container);
+    if (!items) {
+      items = [...container.querySelectorAll(this.config.selector)]
+        .filter(item => this.getResultContainer(item) === container);
+      this._containerItems?.set(container, items);
     }
-    return color;
+    return items;
   }
 
-  getUtmParameters() {
-    const urlParams = new URLSearchParams(window.location.search);
-    const utmParams = {};
-    const utmKeys = ['source', 'medium', 'campaign', 'term', 'content'];
-    
-    utmKeys.forEach(key => {
-      const value = urlParams.get(`utm_${key}`);
-      if (value) {
-        utmParams[`utm_${key}`] = value;
-      }
+  // Positions all items of a container in one pass so later clicks do not scan the DOM again
+  indexResultContainer(container) {
+    const positions = new Map();
+    this.getContainerItems(container).forEach(item => {
+      positions.set(item, positions.size + 1);
+      this._positionCache?.set(item, positions.size);
     });
-
-    return utmParams;
+    return positions;
   }
 
-  // Add method to update searchRequestId
-  updateSearchRequestId(searchRequestId) {
-    this.config.searchRequestId = searchRequestId;
+  // Layout type of the result list and the coordinates of the item as rendered. Callers that
+  // already know the rect of the item, e.g. from an IntersectionObserver entry, pass it along.
+  getItemLayout(element, rect = element.getBoundingClientRect()) {
+    const layout = element.closest(`[${this.config.layoutAttribute}]`)?.getAttribute(this.config.layoutAttribute);
+    return {
+      ...(layout ? { layout } : {}),
+      ...this.getGridCoordinates(element, this.getResultContainer(element), rect)
+    };
   }
 
-  destroy() {
-    // Clear intervals
-    if (this._sessionInterval) {
-      clearInterval(this._sessionInterval);
-    }
-    if (this._batchInterval) {
-      clearInterval(this._batchInterval);
-    }
+  // Items that are not rendered have no coordinates. The grid of a container is measured once
+  // and reused until its items change or the window is resized.
+  getGridCoordinates(element, container, rect) {
+    if (!rect.width && !rect.height) return {};
 
-    // Disconnect performance observers
-    if (this._observers) {
-      this._observers.forEach(observer => observer.disconnect());
+    let grid = this._gridCache?.get(container);
+    // The item was not rendered when the grid was measured, e.g. the next slides of a carousel
+    if (!grid?.has(element)) {
+      grid = this.measureGrid(container);
+      this._gridCache?.set(container, grid);
     }
+    return grid.get(element) || {};
+  }
 
-    // Remove event listeners
+  // Rows are items sharing the same top edge, so the coordinates follow responsive grids
+  // as they reflow
+  measureGrid(container) {
+    const rects = new Map();
+    this.getContainerItems(container).forEach(item => {
+      const rect = item.getBoundingClientRect();
+      if (rect.width || rect.height) {
+        rects.set(item, { top: Math.round(rect.top), left: Math.round(rect.left) });
+      }
+    });
+
+    const rows = new Map(); // top -> left edges of the items in that row
+    rects.forEach(({ top, left }) => {
+      rows.set(top, [...(rows.get(top) || []), left]);
+    });
+    const rowTops = [...rows.keys()].sort((a, b) => a - b);
+    const columnsPerRow = Math.max(...[...rows.values()].map(lefts => lefts.length));
+
+    const grid = new Map(); // item -> { row, column, columnsPerRow }
+    rects.forEach(({ top, left }, item) => {
+      grid.set(item, {
+        row: rowTops.indexOf(top) + 1,
+        column: rows.get(top).filter(otherLeft => otherLeft < left).length + 1,
+        columnsPerRow
+      });
+    });
+    return grid;
+  }
+
+  // Items ranked before the page of the container, taken from its attributes or from the
+  // search tracked for the same request
+  getPageOffset(element, container) {
+    const containerValue = attribute => (container === document ? NaN : parseInt(container.getAttribute(attribute), 10));
+    const search = this.searchContext?.searchRequestId === this.getItemSearchRequestId(element) ? this.searchContext : {};
+
+    let page = containerValue(this.config.pageAttribute);
+    if (Number.isNaN(page)) page = search.page;
+    let pageSize = containerValue(this.config.pageSizeAttribute);
+    if (Number.isNaN(pageSize)) pageSize = search.pageSize || this.config.pageSize;
+
+    if (!page || page <= 1 || !pageSize) return 0;
+    return (page - 1) * pageSize;
+  }
+
+  getItemSearchRequestId(element) {
+    // Get searchRequestId from the item or its result container, or use the one from config
+    const attribute = this.config.searchRequestIdAttribute;
+    return element.closest(`[${attribute}]`)?.getAttribute(attribute) || this.config.searchRequestId;
+  }
+
+  setupImpressionObserver() {
+    if (!('IntersectionObserver' in window)) return;
+
+    this._impressionStates = new Map(); // element -> { visibleSince, visibleRatio }
+    this._seenImpressions = new Set(); // searchRequestId:itemId pairs already reported
+
+    this._impressionObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => this.handleImpressionEntry(entry));
+    }, { threshold: [0, this.config.impressionThreshold, 1] });
+
+    document.querySelectorAll(this.config.selector).forEach(element => {
+      this._impressionObserver.observe(element);
+    });
+  }
+
+  // Follows result lists rendered after the tracker started (SPA results, infinite scroll)
+  setupResultObserver() {
+    if (!('MutationObserver' in window)) return;
+
+    this._positionCache = new WeakMap(); // element -> index within its result container
+    this._containerItems = new WeakMap(); // container -> items ranked within it
+    this._gridCache = new WeakMap(); // container -> grid coordinates of its items
+    // Responsive grids reflow into other rows and columns
+    this._resizeListener = () => {
+      this._gridCache = new WeakMap();
+    };
+    window.addEventListener('resize', this._resizeListener, { passive: true });
+    this._mutationObserver = new MutationObserver((mutations) => {
+      // Items or containers coming and going shift positions, they are recomputed on the next
+      // lookup. Other DOM changes, frequent in SPAs, keep the cache.
+      if (mutations.some(mutation => this.changesResults(mutation))) {
+        this._positionCache = new WeakMap();
+        this._containerItems = new WeakMap();
+        this._gridCache = new WeakMap();
+        if (this.config.abandonmentTrackingEnabled) {
+          this.watchRenderedSearches();
+        }
+      }
+      this.recordDomChange();
+
+      if (this.config.suggestionSelector) {
+        this.detectSuggestions(mutations);
+      }
+      if (!this._impressionObserver) return;
+
+      mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => this.observeImpressionNode(node));
+        mutation.removedNodes.forEach(node => this.unobserveImpressionNode(node));
+      });
+    });
+    this._mutationObserver.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: [this.config.searchRequestIdAttribute]
+    });
+
+    // Results rendered before the tracker started
+    if (this.config.abandonmentTrackingEnabled) {
+      this.watchRenderedSearches();
+    }
+  }
+
+  // Whether a mutation adds or removes result items or containers, or moves items to another
+  // search request
+  changesResults(mutation) {
+    if (mutation.type === 'attributes') return true;
+
+    const resultSelector = `${this.config.selector}, [${this.config.searchRequestIdAttribute}]`;
+    return [...mutation.addedNodes, ...mutation.removedNodes].some(node => (
+      node.nodeType === Node.ELEMENT_NODE && (node.matches(resultSelector) || node.querySelector(resultSelector) !== null)
+    ));
+  }
+
+  observeImpressionNode(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    if (node.matches(this.config.selector)) {
+      this._impressionObserver.observe(node);
+    }
+    node.querySelectorAll(this.config.selector).forEach(element => {
+      this._impressionObserver.observe(element);
+    });
+  }
+
+  unobserveImpressionNode(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    const elements = [...node.querySelectorAll(this.config.selector)];
+    if (node.matches(this.config.selector)) {
+      elements.push(node);
+    }
+    elements.forEach(element => {
+      this.endImpression(element);
+      this._impressionObserver.unobserve(element);
+    });
+  }
+
+  handleImpressionEntry(entry) {
+    const element = entry.target;
+    if (this.scrollDepth && entry.isIntersecting) {
+      this.scrollDepth.recordVisible(this.getItemSearchRequestId(element), this.getItemPosition(element));
+    }
+    if (!this.config.impressionTrackingEnabled) return;
+
+    const isVisible = entry.isIntersecting && entry.intersectionRatio >= this.config.impressionThreshold;
+    const state = this._impressionStates.get(element);
+
+    if (isVisible) {
+      if (state) {
+        state.visibleRatio = Math.max(state.visibleRatio, entry.intersectionRatio);
+      } else {
+        // Capture the item context now, the element may be gone when the impression ends
+        this._impressionStates.set(element, {
+          itemId: element.getAttribute(this.config.dataAttribute),
+          position: this.getItemPosition(element),
+          searchRequestId: this.getItemSearchRequestId(element),
+          layout: this.getItemLayout(element, entry.boundingClientRect),
+          visibleSince: Date.now(),
+          visibleRatio: entry.intersectionRatio
+        });
+      }
+    } else if (state) {
+      this.endImpression(element);
+    }
+  }
+
+  endImpression(element) {
+    const state = this._impressionStates.get(element);
+    if (!state) return;
+    this._impressionStates.delete(element);
+
+    const timeInView = Date.now() - state.visibleSince;
+    if (!state.itemId || timeInView < this.config.impressionMinDuration) return;
+
+    // Only one impression per item for each search request
+    const impressionKey = `${state.searchRequestId || ''}:${state.itemId}`;
+    if (this._seenImpressions.has(impressionKey)) return;
+    this._seenImpressions.add(impressionKey);
+
+    this.trackImpression({
+      itemId: state.itemId,
+      position: state.position,
+      searchRequestId: state.searchRequestId,
+      ...state.layout,
+      visibleRatio: Math.round(state.visibleRatio * 100) / 100,
+      timeInView,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  setupScrollTracking() {
+    this.scrollDepth = new ScrollDepth();
+    this._scrollListener = () => this.scrollDepth.recordScroll();
+    window.addEventListener('scroll', this._scrollListener, { passive: true });
+  }
+
+  setupErrorTracking() {
+    this._errorListener = (event) => this.trackError(getErrorDetails(event));
+    window.addEventListener('error', this._errorListener);
+    window.addEventListener('unhandledrejection', this._errorListener);
+  }
+
+  // A broken page may throw on every frame, so the same error is reported once per session
+  // and at most maxErrorsPerSession errors in total. Tabs share the session, so the errors
+  // reported by any of them are read from storage every time.
+  trackError(errorDetails) {
+    const stored = this.hasConsent('analytics') && JSON.parse(localStorage.getItem('tracker_reported_errors') || 'null');
+    if (stored?.sessionId === this.sessionId) {
+      this._reportedErrors = stored;
+    } else if (this._reportedErrors?.sessionId !== this.sessionId) {
+      this._reportedErrors = { sessionId: this.sessionId, fingerprints: [] };
+    }
+    const { fingerprints } = this._reportedErrors;
+    const fingerprint = [errorDetails.message, errorDetails.source, errorDetails.lineNumber, errorDetails.columnNumber].join('|');
+    if (fingerprints.includes(fingerprint) || fingerprints.length >= this.config.maxErrorsPerSession) return;
+
+    fingerprints.push(fingerprint);
+    if (this.hasConsent('analytics')) {
+      localStorage.setItem('tracker_reported_errors', JSON.stringify(this._reportedErrors));
+    }
+
+    this.queueEvent({
+      type: 'js_error',
+      ...errorDetails,
+      path: this.currentPath,
+      searchRequestId: this.config.searchRequestId,
+      timestamp: new Date().toISOString(),
+      sessionId: this.sessionId
+    });
+  }
+
+  // Listeners are delegated so search boxes rendered later or re-rendered are tracked as well
+  setupSearchInputTracking() {
+    this._queryTyping = null; // Timing of the query being typed
+    const isSearchInput = element => element instanceof Element && element.matches(this.config.searchInputSelector);
+
+    this._searchFocusListener = (event) => {
+      if (isSearchInput(event.target) && !this._queryTyping) {
+        this.startQueryTyping(event.target.value);
+      }
+    };
+    this._searchInputListener = (event) => {
+      if (isSearchInput(event.target)) {
+        this.handleQueryInput(event.target.value);
+      }
+    };
+    // Search boxes outside a form are submitted with Enter
+    this._searchKeydownListener = (event) => {
+      if (event.key === 'Enter' && isSearchInput(event.target) && !event.target.form) {
+        this.submitQuery(event.target.value);
+      }
+    };
+    this._searchSubmitListener = (event) => {
+      const input = [...event.target.elements || []].find(isSearchInput);
+      if (input) {
+        this.submitQuery(input.value);
+      }
+    };
+
+    document.addEventListener('focusin', this._searchFocusListener);
+    document.addEventListener('input', this._searchInputListener);
+    document.addEventListener('keydown', this._searchKeydownListener);
+    document.addEventListener('submit', this._searchSubmitListener);
+  }
+
+  startQueryTyping(value) {
+    this._queryTyping = {
+      value,
+      focusedAt: Date.now(),
+      firstKeystrokeAt: null,
+      lastKeystrokeAt: null,
+      keystrokes: 0
+    };
+  }
+
+  handleQueryInput(value) {
+    if (!this._queryTyping) {
+      this.startQueryTyping('');
+    }
+    const typing = this._queryTyping;
+
+    if (!value.trim() && typing.value.trim()) {
+      clearTimeout(this._queryTypedTimer);
+      this.trackQueryEvent('query_cleared', typing.value);
+      this.startQueryTyping(value);
+      return;
+    }
+
+    typing.value = value;
+    typing.firstKeystrokeAt = typing.firstKeystrokeAt || Date.now();
+    typing.lastKeystrokeAt = Date.now();
+    typing.keystrokes++;
+
+    clearTimeout(this._queryTypedTimer);
+    this._queryTypedTimer = setTimeout(() => {
+      if (this._queryTyping?.value.trim()) {
+        this.trackQueryEvent('query_typed', this._queryTyping.value);
+      }
+    }, this.config.queryTypedDelay);
+  }
+
+  submitQuery(value) {
+    const query = value.trim();
+    if (!query) return;
+    clearTimeout(this._queryTypedTimer);
+
+    this.trackQueryEvent('query_submitted', query, this.linkReformulation(query));
+    this._queryTyping = null;
+    this.resolveSuggestions(query);
+  }
+
+  setupSuggestionTracking() {
+    this._suggestionLists = new WeakMap(); // container -> { suggestionRequestId, prefix }
+    this._shownSuggestionRequests = new Set(); // suggestionRequestIds reported as shown
+    this._activeSuggestions = null; // Last list shown that was neither selected from nor ignored yet
+
+    // Capture phase, typeaheads often stop propagation or remove the list on selection
+    this._suggestionClickListener = (event) => {
+      const suggestion = event.target instanceof Element && event.target.closest(this.config.suggestionSelector);
+      if (suggestion) {
+        this.selectSuggestion(suggestion);
+      }
+    };
+    this._suggestionKeydownListener = (event) => {
+      const container = this._activeSuggestions?.container;
+      const highlighted = container?.querySelector(`${this.config.suggestionSelector}[aria-selected="true"]`);
+      if (event.key === 'Enter' && highlighted) {
+        this.selectSuggestion(highlighted);
+      }
+    };
+    document.addEventListener('click', this._suggestionClickListener, true);
+    document.addEventListener('keydown', this._suggestionKeydownListener, true);
+
+    // Lists rendered before the tracker started
+    this.getSuggestionContainers([document.documentElement]).forEach(container => this.recordSuggestionsShown(container));
+  }
+
+  detectSuggestions(mutations) {
+    const addedNodes = mutations.flatMap(mutation => [...mutation.addedNodes]);
+    this.getSuggestionContainers(addedNodes).forEach(container => this.recordSuggestionsShown(container));
+  }
+
+  // Lists of the suggestions in or below the given nodes
+  getSuggestionContainers(nodes) {
+    const containers = new Set();
+    nodes.forEach(node => {
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+      const suggestions = [...node.querySelectorAll(this.config.suggestionSelector)];
+      if (node.matches(this.config.suggestionSelector)) {
+        suggestions.push(node);
+      }
+      suggestions.forEach(suggestion => containers.add(this.getSuggestionContainer(suggestion)));
+    });
+    return containers;
+  }
+
+  getSuggestionContainer(suggestion) {
+    return suggestion.closest(`[${this.config.suggestionRequestIdAttribute}]`) || suggestion.parentElement;
+  }
+
+  getSuggestionText(suggestion) {
+    return suggestion.getAttribute(this.config.suggestionAttribute) || suggestion.textContent.trim();
+  }
+
+  // The prefix is the text the suggestions were made for
+  getSuggestionPrefix(container) {
+    const prefix = container.getAttribute(this.config.suggestionPrefixAttribute);
+    if (prefix !== null) return prefix;
+
+    const input = this.config.searchInputSelector
+      ? document.querySelector(this.config.searchInputSelector)
+      : document.activeElement;
+    return typeof input?.value === 'string' ? input.value : null;
+  }
+
+  recordSuggestionsShown(container) {
+    // Lists without a request id from the backend get a new one whenever their items change
+    const suggestionRequestId = container.getAttribute(this.config.suggestionRequestIdAttribute) || this.generateUUID();
+    if (this._shownSuggestionRequests.has(suggestionRequestId)) return;
+    this._shownSuggestionRequests.add(suggestionRequestId);
+
+    const list = { suggestionRequestId, prefix: this.getSuggestionPrefix(container) };
+    this._suggestionLists.set(container, list);
+    this._activeSuggestions = { ...list, container };
+
+    this.queueEvent({
+      type: 'suggestions_shown',
+      ...list,
+      suggestions: [...container.querySelectorAll(this.config.suggestionSelector)]
+        .map(suggestion => this.getSuggestionText(suggestion)),
+      timestamp: new Date().toISOString(),
+      sessionId: this.sessionId
+    });
+  }
+
+  selectSuggestion(suggestion) {
+    const container = this.getSuggestionContainer(suggestion);
+    if (!this._suggestionLists.has(container)) {
+      this.recordSuggestionsShown(container);
+    }
+    const list = this._suggestionLists.get(container);
+    this._activeSuggestions = null;
+
+    this.queueEvent({
+      type: 'suggestion_selected',
+      ...list,
+      suggestion: this.getSuggestionText(suggestion),
+      position: [...container.querySelectorAll(this.config.suggestionSelector)].indexOf(suggestion) + 1,
+      timestamp: new Date().toISOString(),
+      sessionId: this.sessionId
+    });
+  }
+
+  // A query submitted while suggestions were shown, without picking one, ignored them
+  resolveSuggestions(query) {
+    const active = this._activeSuggestions;
+    if (!active) return;
+    this._activeSuggestions = null;
+
+    this.queueEvent({
+      type: 'suggestions_ignored',
+      suggestionRequestId: active.suggestionRequestId,
+      prefix: active.prefix,
+      query,
+      timestamp: new Date().toISOString(),
+      sessionId: this.sessionId
+    });
+  }
+
+  // Links the query to the previous one submitted in the same session. The chain is kept in
+  // localStorage because submitting a search usually loads a new page.
+  linkReformulation(query) {
+    let chain = this._queryChain;
+    if (this.hasConsent('analytics')) {
+      try {
+        chain = JSON.parse(localStorage.getItem('tracker_query_chain')) || chain;
+      } catch {
+        // Unreadable chains start over
+      }
+    }
+    if (!chain || chain.sessionId !== this.sessionId) {
+      chain = { sessionId: this.sessionId, query: null, index: 0 };
+    }
+
+    const link = {
+      queryIndex: chain.index + 1,
+      previousQuery: chain.query,
+      editType: chain.query ? classifyReformulation(chain.query, query) : null
+    };
+
+    this._queryChain = { sessionId: this.sessionId, query, index: link.queryIndex };
+    if (this.hasConsent('analytics')) {
+      localStorage.setItem('tracker_query_chain', JSON.stringify(this._queryChain));
+    }
+    return link;
+  }
+
+  trackQueryEvent(type, query, details = {}) {
+    const typing = this._queryTyping;
+    const timing = typing?.firstKeystrokeAt ? {
+      timeToFirstKeystroke: typing.firstKeystrokeAt - typing.focusedAt,
+      typingDuration: typing.lastKeystrokeAt - typing.firstKeystrokeAt,
+      keystrokes: typing.keystrokes
+    } : {};
+
+    this.queueEvent({
+      type,
+      query,
+      ...timing,
+      ...details,
+      timestamp: new Date().toISOString(),
+      sessionId: this.sessionId
+    });
+  }
+
+  // Report how deep the user explored the results page when it is left, once per search request.
+  // Hidden pages keep measuring in case the user comes back, e.g. from a result in another tab.
+  flushScrollDepth() {
+    if (!this.scrollDepth) return;
+
+    // A results page without visible items still gets its depth when its search was tracked here
+    const pageSearchRequestId = this.currentPath === this._searchPath ? this.searchContext.searchRequestId : null;
+    this.scrollDepth.flush(pageSearchRequestId).forEach(depth => {
+      this.queueEvent({
+        type: 'scroll_depth',
+        ...depth,
+        timestamp: new Date().toISOString(),
+        sessionId: this.sessionId
+      });
+    });
+    this.scrollDepth.reset();
+  }
+
+  // Report items that are still in view, e.g. when the page is hidden or left
+  flushImpressions() {
+    if (!this._impressionStates) return;
+    [...this._impressionStates.keys()].forEach(element => this.endImpression(element));
+  }
+
+  trackImpression(impressionData) {
+    this.queueEvent({
+      type: 'impression',
+      ...impressionData,
+      sessionId: this.sessionId
+    });
+  }
+
+  trackEvent(eventName, eventData = {}) {
+    this.queueEvent({
+      type: 'custom_event',
+      name: eventName,
+      data: eventData,
+      sessionId: this.sessionId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  trackClick(clickData) {
+    this.queueEvent({
+      type: 'click',
+      ...clickData,
+      sessionId: this.sessionId
+    });
+  }
+
+  getClickActivationType(event) {
+    const keyActivation = this._keyActivation;
+    this._keyActivation = null;
+
+    if (event.detail === 0 && keyActivation?.target === event.target && Date.now() - keyActivation.time < 1000) {
+      return 'keyboard';
+    }
+    if (this.hasModifierKey(event)) {
+      return 'modifier';
+    }
+    return 'primary';
+  }
+
+  // Ctrl, Cmd and Shift open links in a new tab or window
+  hasModifierKey(event) {
+    return event.ctrlKey || event.metaKey || event.shiftKey;
+  }
+
+  // Whether following the result replaces the results page, as opposed to a new tab or window
+  opensInSameTab(event, activationType) {
+    if (['middle', 'modifier', 'contextmenu'].includes(activationType)) return false;
+    if (this.hasModifierKey(event)) return false; // Modified keyboard activation
+
+    const link = event.target.closest('a[href]');
+    return !link || ['', '_self', '_parent', '_top'].includes(link.target);
+  }
+
+  handleItemActivation(event, activationType) {
+    // Add to cart, wishlist and similar buttons inside an item are actions, not result clicks
+    const actionElement = event.target.closest(`[${this.config.actionAttribute}]`);
+    if (actionElement && actionElement.closest(this.config.selector)) {
+      if (activationType !== 'middle' && activationType !== 'contextmenu') {
+        this.trackItemAction(actionElement);
+      }
+      return;
+    }
+
+    const target = event.target.closest(this.config.selector);
+    if (!target) return;
+    const itemId = target.getAttribute(this.config.dataAttribute);
+    if (!itemId) return;
+
+    const sameTab = this.opensInSameTab(event, activationType);
+    const clickData = {
+      itemId,
+      position: this.getItemPosition(target),
+      searchRequestId: this.getItemSearchRequestId(target),
+      ...this.getItemLayout(target),
+      activationType,
+      sameTab,
+      timestamp: new Date().toISOString(),
+    };
+    this.trackClick(clickData);
+    this._pendingSearch = null; // The search led to a click, it was not abandoned
+
+    // Results opened in a background tab never bring the user back to measure dwell time,
+    // foreground tabs do through the page visibility
+    const foreground = ['primary', 'keyboard'].includes(activationType) && !this.hasModifierKey(event);
+    if (this.config.dwellTrackingEnabled && foreground) {
+      this.startDwell(clickData);
+    }
+  }
+
+  // Emit the action declared on an element, tied to the item that contains it
+  trackItemAction(actionElement) {
+    const item = actionElement.closest(this.config.selector);
+    const itemId = item.getAttribute(this.config.dataAttribute);
+    if (!itemId) return;
+    this._pendingSearch = null;
+
+    const data = {};
+    [...actionElement.attributes].forEach(({ name, value }) => {
+      if (name === this.config.actionAttribute || !name.startsWith(this.config.actionPropertyPrefix)) return;
+      // data-track-variant-id becomes variantId, like dataset does
+      const key = name.slice(this.config.actionPropertyPrefix.length).replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+      data[key] = value;
+    });
+
+    this.queueEvent({
+      type: 'action',
+      action: actionElement.getAttribute(this.config.actionAttribute),
+      itemId,
+      position: this.getItemPosition(item),
+      searchRequestId: this.getItemSearchRequestId(item),
+      ...this.getItemLayout(item),
+      data,
+      timestamp: new Date().toISOString(),
+      sessionId: this.sessionId
+    });
+  }
+
+  trackDwell(dwellData) {
+    this.queueEvent({
+      type: 'dwell',
+      ...dwellData,
+      sessionId: this.sessionId
+    });
+  }
+
+  // Single entry point for all events headed to the events endpoint
+  queueEvent(trackedEvent) {
+    if (!PASSIVE_EVENT_TYPES.includes(trackedEvent.type)) {
+      const sessionId = this.sessionId;
+      this.touchSession();
+      // Activity after the session ended belongs to the new one
+      if (trackedEvent.sessionId === sessionId) {
+        trackedEvent.sessionId = this.sessionId;
+      }
+    }
+
+    // Validated as tracked, fields added by plugins are up to the plugin
+    if (!this.passesValidation(trackedEvent)) return;
+    const event = this.applyPlugins('beforeTrack', trackedEvent, { kind: 'events' });
+    if (!event) return;
+
+    if (!this.hasConsent('analytics')) {
+      this.bufferUntilConsent('events', event);
+      return;
+    }
+    this.events.push(event);
+
+    if (this.events.length >= this.config.batchSize) {
+      this.sendEvents();
+    }
+  }
+
+  // Track a search request and make it the active context for later clicks and conversions
+  trackSearch(searchData = {}) {
+    const searchRequestId = searchData.searchRequestId || this.generateUUID();
+
+    this.searchContext = {
+      searchRequestId,
+      query: searchData.query,
+      filters: searchData.filters || {},
+      sort: searchData.sort,
+      page: searchData.page,
+      pageSize: searchData.pageSize,
+      totalResults: searchData.totalResults,
+      resultItemIds: searchData.resultItemIds || []
+    };
+    this._searchPath = this.currentPath;
+    this.updateSearchRequestId(searchRequestId);
+    if (this._activeSuggestions && searchData.query) {
+      this.resolveSuggestions(searchData.query);
+    }
+
+    this.queueEvent({
+      type: 'search',
+      ...this.searchContext,
+      timestamp: new Date().toISOString(),
+      sessionId: this.sessionId
+    });
+
+    return searchRequestId;
+  }
+
+  passesValidation(event) {
+    if (this.config.validationMode === 'off') return true;
+
+    const { valid, errors } = schema.validateEvent(event);
+    if (valid) return true;
+
+    const rejected = this.config.validationMode === 'reject';
+    console.warn(`Invalid ${event.type} event${rejected ? ' rejected' : ''}:`, errors);
+    return !rejected;
+  }
+
+  async sendEvents(unloading = false) {
+    if (this.events.length === 0 || !this.hasConsent('analytics')) return;
+
+    const eventsToSend = this.events.filter(event => this.isSampled(this.config.eventSampleRate, event.sessionId));
+    this.events = [];
+    if (eventsToSend.length === 0) return;
+
+    const data = {
+      schemaVersion: schema.SCHEMA_VERSION,
+      sampleRate: this.config.eventSampleRate,
+      events: eventsToSend,
+      sessionId: this.sessionId,
+      colorIdentifier: this.colorIdentifier,
+      ...this.getBrowserInfoFields(),
+      utmParams: this.utmParams,
+      timestamp: new Date().toISOString()
+    };
+
+    await this.deliverBatch(this.config.endpoint, data, 'Error sending events:', unloading);
+  }
+
+  async deliverBatch(url, payload, errorMessage, unloading = false) {
+    const kind = this.getBatchKind(url);
+    const data = this.applyPlugins('beforeSend', payload, { kind, url });
+    if (!data) return;
+
+    // Batches that cannot be serialized, e.g. with circular references, would fail every retry.
+    // Their chunks serialize once the whole batch does.
+    try {
+      JSON.stringify(data);
+    } catch (error) {
+      console.error(errorMessage, error);
+      this.notifyPlugins('onError', error, { kind, url, payload: data, tracker: this });
+      return;
+    }
+
+    // Chunks are sent at once, a page that is being left may be gone before the first response.
+    // Their queue ids are taken up front so they are queued in order whichever fails first.
+    const transport = this.getTransport(unloading);
+    const chunks = chunkPayload(data, kind, transport.maxBodySize)
+      .map(chunk => ({ id: this.retryQueue.createId(), chunk }));
+    let failed = false;
+    await Promise.all(chunks.map(async ({ id, chunk }) => {
+      // Keep batches in order while earlier ones for the same endpoint wait for a retry. Chunks
+      // the browser would refuse for exceeding its quota wait for a retry as well.
+      if (this.retryQueue.has(url) || (unloading && !this.reserveUnloadBytes(chunk, transport.maxBodySize))) {
+        this.retryQueue.add({ id, url, data: chunk });
+        this.scheduleRetry();
+        return;
+      }
+
+      try {
+        await this.postBatch(url, chunk, transport, unloading);
+        this.rememberBrowserInfo(chunk);
+        this.notifyPlugins('afterSend', chunk, { kind, url, tracker: this });
+      } catch (error) {
+        console.error(errorMessage, error);
+        this.notifyPlugins('onError', error, { kind, url, payload: chunk, tracker: this });
+        this.retryQueue.add({ id, url, data: chunk });
+        failed = true;
+      }
+    }));
+    // Chunks failing together count as one failure of the endpoint
+    if (failed) {
+      this.registerFailure(url);
+    }
+  }
+
+  // Beacons and keepalive requests share a quota of bytes in flight per page, across chunks and
+  // endpoints. While the page is hidden or left a chunk is only sent when it fits into what is
+  // left of it.
+  reserveUnloadBytes(chunk, maxBodySize) {
+    if (!maxBodySize) return true;
+
+    const size = getByteLength(JSON.stringify(chunk));
+    if (this._unloadBytes + size > maxBodySize) return false;
+    this._unloadBytes += size;
+    return true;
+  }
+
+  getBatchKind(url) {
+    return url === this.config.metricsEndpoint ? 'performanceMetrics' : 'events';
+  }
+
+  // Sends the full browser info once per session when configured, later batches only carry
+  // the fields that change per page and the id of the full record
+  getBrowserInfoFields() {
+    if (!this.config.browserInfoOncePerSession) {
+      return { browserInfo: this.browserInfo };
+    }
+
+    const { timestamp, path, ...deviceInfo } = this.browserInfo;
+    const browserInfoId = this.hashString(JSON.stringify(deviceInfo)).toString(16).padStart(8, '0');
+    if (this.sessionId && localStorage.getItem('tracker_browser_info') === `${this.sessionId}:${browserInfoId}`) {
+      return { browserInfoId, browserInfo: { timestamp, path } };
+    }
+    return { browserInfoId, browserInfo: this.browserInfo };
+  }
+
+  // Remember that the full browser info reached the backend for this session
+  rememberBrowserInfo(data) {
+    if (!data.browserInfoId || !data.browserInfo?.userAgent) return;
+    if (!data.sessionId || data.sessionId !== this.sessionId || !this.hasConsent('analytics')) return;
+
+    localStorage.setItem('tracker_browser_info', `${data.sessionId}:${data.browserInfoId}`);
+  }
+
+  // Gzips a request body, resolves null when the browser cannot compress
+  async compress(body) {
+    if (typeof CompressionStream === 'undefined') return null;
+
+    try {
+      const stream = new Blob([body]).stream().pipeThrough(new CompressionStream('gzip'));
+      return await new Response(stream).blob();
+    } catch (error) {
+      console.warn('Could not compress batch, sending it uncompressed:', error);
+      return null;
+    }
+  }
+
+  // Transports are built-in names or objects with a send(url, body, headers) method
+  resolveTransport(key, fallback) {
+    const transport = typeof this.config[key] === 'string' ? transports[this.config[key]] : this.config[key];
+    if (typeof transport?.send === 'function') return transport;
+
+    console.warn(`Invalid ${key}, using ${fallback}:`, this.config[key]);
+    return transports[fallback];
+  }
+
+  // Browsers without the API of a transport, e.g. sendBeacon, use the default ones instead
+  getTransport(unloading = false) {
+    const transport = unloading ? this.unloadTransport : this.transport;
+    if (transport.isAvailable?.() === false) {
+      return unloading ? transports.keepalive : transports.fetch;
+    }
+    return transport;
+  }
+
+  async postBatch(url, data, transport, unloading = false) {
+    const body = JSON.stringify(data);
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+    // Compression is asynchronous, a page that is being left may be gone before it finishes
+    const compressed = this.config.compressionEnabled && transport.compressible && !unloading
+      ? await this.compress(body)
+      : null;
+    if (compressed) {
+      headers['Content-Encoding'] = 'gzip';
+    }
+
+    await transport.send(url, compressed || body, headers);
+  }
+
+  registerFailure(url) {
+    const failures = (this._retryBackoff[url]?.failures || 0) + 1;
+    this._retryBackoff[url] = {
+      failures,
+      retryAt: Date.now() + this.getRetryDelay(failures)
+    };
+    this.scheduleRetry();
+  }
+
+  // Exponential backoff with jitter so recovering endpoints are not hit by every client at once
+  getRetryDelay(failures) {
+    const delay = Math.min(this.config.retryMaxDelay, this.config.retryBaseDelay * 2 ** (failures - 1));
+    return delay / 2 + Math.random() * delay / 2;
+  }
+
+  scheduleRetry() {
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+
+    // Batches waiting for consent stay queued without keeping a timer busy
+    const urls = [...new Set(this.retryQueue.items.map(item => item.url))].filter(url => this.canSendTo(url));
+    if (urls.length === 0) return;
+
+    const nextRetryAt = Math.min(...urls.map(url => this._retryBackoff[url]?.retryAt || 0));
+    this._retryTimer = setTimeout(() => this.processRetryQueue(), Math.max(0, nextRetryAt - Date.now()));
+  }
+
+  async processRetryQueue() {
+    // A retry round is already running and reschedules when it is done
+    if (this._retrying) return;
+    this._retrying = true;
+
+    const urls = [...new Set(this.retryQueue.items.map(item => item.url))];
+
+    for (const url of urls) {
+      if ((this._retryBackoff[url]?.retryAt || 0) > Date.now() || !this.canSendTo(url)) continue;
+
+      for (const batch of this.retryQueue.itemsFor(url)) {
+        // Other tabs replay the same stored batches
+        if (!(await this.retryQueue.claim(batch.id))) {
+          if (!this.retryQueue.includes(batch.id)) continue; // Delivered by another tab
+          // Another tab is sending it, try again once its claim has lapsed
+          this._retryBackoff[url] = {
+            failures: this._retryBackoff[url]?.failures || 0,
+            retryAt: Date.now() + this.retryQueue.claimDuration
+          };
+          break;
+        }
+
+        try {
+          await this.postBatch(url, batch.data, this.getTransport());
+          this.retryQueue.remove(batch.id);
+          delete this._retryBackoff[url];
+          this.rememberBrowserInfo(batch.data);
+          this.notifyPlugins('afterSend', batch.data, { kind: this.getBatchKind(url), url, tracker: this });
+        } catch (error) {
+          console.error('Error retrying batch:', error);
+          this.notifyPlugins('onError', error, {
+            kind: this.getBatchKind(url),
+            url,
+            payload: batch.data,
+            tracker: this
+          });
+          this.registerFailure(url);
+          break; // The endpoint is still down, leave the rest for the next attempt
+        }
+      }
+    }
+
+    this._retrying = false;
+    this.scheduleRetry();
+  }
+
+  resetSession(reason = 'reset') {
+    if (!this.hasConsent('analytics')) return;
+
+    this.endSession(reason);
+    this.sessionId = this.getOrCreateSessionId();
+  }
+
+  // Changes made in another tab, applied without posting them back
+  handleTabMessage(type, data) {
+    if (type === 'session') {
+      if (!this.hasConsent('analytics') || this.config.sessionId) return;
+      // The stored session wins, so tabs that reset at the same time agree on one. Ended
+      // sessions are left for the next activity to replace.
+      const session = this.getStoredSession();
+      this.sessionId = session && !this.getSessionEndReason(session) ? session.sessionId : null;
+    } else if (type === 'searchRequestId') {
+      // The other tab watches its own search for abandonment
+      this.config.searchRequestId = data;
+    } else if (type === 'consent') {
+      this.applyConsent(data);
+    }
+  }
+
+  // Ends idle sessions without starting a new one, so open tabs nobody uses create no sessions
+  checkSessionExpiration() {
+    // Sessions injected from the backend are managed there
+    if (!this.hasConsent('analytics') || this.config.sessionId) return;
+
+    const session = this.getStoredSession();
+    const endReason = session && this.getSessionEndReason(session);
+    if (endReason) {
+      this.endSession(endReason);
+    }
+  }
+
+  // Utility method to track conversion events
+  trackConversion(conversionData) {
+    // Attribute the conversion to the active search unless the caller did so already
+    const searchRequestId = this.config.searchRequestId;
+    this.trackEvent('conversion', searchRequestId ? { searchRequestId, ...conversionData } : conversionData);
+    this.resetSession('conversion');
+  }
+
+  initializeIdentifiers() {
+    this.sessionId = this.getOrCreateSessionId();
+    this.colorIdentifier = this.getOrCreateColorIdentifier();
+  }
+
+  hasConsent(purpose) {
+    return this.consent?.[purpose] === true;
+  }
+
+  // Queued batches only go out for purposes that are still consented to
+  canSendTo(url) {
+    return this.hasConsent(this.getBatchKind(url) === 'performanceMetrics' ? 'performance' : 'analytics');
+  }
+
+  bufferUntilConsent(queueName, item) {
+    // Only buffer while the decision is pending, refused purposes are dropped
+    if (this.consent !== null) return;
+
+    const buffer = this._consentBuffer[queueName];
+    buffer.push(item);
+    if (buffer.length > this.config.consentBufferSize) {
+      buffer.shift();
+    }
+  }
+
+  setConsent(consent = {}) {
+    this.applyConsent(consent);
+    this.tabSync?.post('consent', this.consent);
+  }
+
+  applyConsent(consent = {}) {
+    const previous = this.consent || {};
+    this.consent = {
+      analytics: consent.analytics ?? previous.analytics ?? false,
+      performance: consent.performance ?? previous.performance ?? false
+    };
+
+    if (this.consent.analytics && !previous.analytics) {
+      this.initializeIdentifiers();
+      // Buffered events were recorded before there was a session to attach them to
+      this._consentBuffer.events.forEach(event => {
+        event.sessionId = this.sessionId;
+      });
+      this.events = [...this._consentBuffer.events, ...this.events];
+      this.sendEvents();
+    } else if (!this.consent.analytics) {
+      // Consent starts out pending on every page load, a refusal purges what earlier page loads
+      // stored with consent
+      this.purgeAnalyticsData();
+    }
+
+    if (this.consent.performance && !previous.performance) {
+      this._consentBuffer.performanceMetrics.forEach(metric => {
+        metric.sessionId = this.sessionId;
+      });
+      this.performanceMetrics = [...this._consentBuffer.performanceMetrics, ...this.performanceMetrics];
+      this.sendPerformanceMetrics();
+    } else if (!this.consent.performance) {
+      this.performanceMetrics = [];
+      this.retryQueue.purge(this.config.metricsEndpoint);
+    }
+
+    this._consentBuffer = { events: [], performanceMetrics: [] };
+    // The stored queue is only opened once something may be stored
+    if (this.consent.analytics || this.consent.performance) {
+      this.retryQueue.open();
+    }
+    this.scheduleRetry();
+  }
+
+  optIn() {
+    this.setConsent({ analytics: true, performance: true });
+  }
+
+  optOut() {
+    this.setConsent({ analytics: false, performance: false });
+  }
+
+  // Refused analytics consent removes the stored identifiers and everything not sent yet
+  purgeAnalyticsData() {
+    localStorage.removeItem('tracker_session_id');
+    localStorage.removeItem('tracker_session_timestamp');
+    localStorage.removeItem('tracker_session_start');
+    localStorage.removeItem('colorschema_identifier');
+    localStorage.removeItem('tracker_browser_info');
+    localStorage.removeItem('tracker_query_chain');
+    localStorage.removeItem('tracker_reported_errors');
+    sessionStorage.removeItem('tracker_pending_dwell');
+    this.sessionId = null;
+    this.colorIdentifier = null;
+    this.events = [];
+    this._pendingDwell = null;
+    this._queryChain = null;
+    this._reportedErrors = null;
+    this.retryQueue.purge(this.config.endpoint);
+  }
+
+  getOrCreateColorIdentifier() {
+    let colorIdentifier = localStorage.getItem('colorschema_identifier');
+    if (!colorIdentifier) {
+      // Generate two random colors for anonymous identification
+      const color1 = this.generateRandomColor();
+      const color2 = this.generateRandomColor();
+      colorIdentifier = `${color1}-${color2}`;
+      localStorage.setItem('colorschema_identifier', colorIdentifier);
+    }
+    return colorIdentifier;
+  }
+
+  generateRandomColor() {
+    const letters = '0123456789ABCDEF';
+    let color = '#';
+    for (let i = 0; i < 6; i++) {
+      color += letters[Math.floor(Math.random() * 16)];
+    }
+    return color;
+  }
+
+  getUtmParameters() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const utmParams = {};
+    const utmKeys = ['source', 'medium', 'campaign', 'term', 'content'];
+    
+    utmKeys.forEach(key => {
+      const value = urlParams.get(`utm_${key}`);
+      if (value) {
+        utmParams[`utm_${key}`] = value;
+      }
+    });
+
+    return utmParams;
+  }
+
+  // Add method to update searchRequestId
+  updateSearchRequestId(searchRequestId) {
+    this.config.searchRequestId = searchRequestId;
+    this.watchSearch(searchRequestId);
+    this.tabSync?.post('searchRequestId', searchRequestId);
+  }
+
+  // A search is abandoned when it is left without a result click or action
+  watchSearch(searchRequestId) {
+    if (!this.config.abandonmentTrackingEnabled) return;
+
+    // trackSearch sets the search context first, searches injected from the backend or only
+    // rendered with a search request id attribute have none
+    const context = this.searchContext?.searchRequestId === searchRequestId ? this.searchContext : {};
+    if (this._pendingSearch?.searchRequestId === searchRequestId) {
+      // Results rendered before their search was tracked
+      this._pendingSearch.query ??= context.query;
+      this._pendingSearch.totalResults ??= context.totalResults;
+      return;
+    }
+
+    this.abandonSearch('new_search');
+    if (!searchRequestId) return;
+
+    this._pendingSearch = {
+      searchRequestId,
+      query: context.query,
+      totalResults: context.totalResults,
+      path: this.currentPath,
+      startedAt: Date.now()
+    };
+  }
+
+  abandonSearch(reason) {
+    const search = this._pendingSearch;
+    if (!search) return;
+    this._pendingSearch = null;
+
+    this.queueEvent({
+      type: 'abandonment',
+      searchRequestId: search.searchRequestId,
+      query: search.query,
+      reason,
+      timeSpent: Date.now() - search.startedAt,
+      zeroResults: this.hasZeroResults(search),
+      timestamp: new Date().toISOString(),
+      sessionId: this.sessionId
+    });
+  }
+
+  // The search reported no results, or its results container was rendered without items
+  hasZeroResults({ searchRequestId, totalResults }) {
+    if (totalResults === 0) return true;
+
+    // Results rendered since the mutation observer last ran
+    const attribute = this.config.searchRequestIdAttribute;
+    this.recordRenderedResults([...document.querySelectorAll(`[${attribute}]`)]
+      .filter(element => element.getAttribute(attribute) === searchRequestId));
+    return this._renderedResults.get(searchRequestId) === false;
+  }
+
+  // Zero results are recorded as result containers render, an SPA has usually replaced them by
+  // the time their search is abandoned. Searches that only show up through the search request
+  // id attribute are watched like tracked ones.
+  watchRenderedSearches() {
+    const newSearchRequestIds = this.recordRenderedResults(
+      document.querySelectorAll(`[${this.config.searchRequestIdAttribute}]`)
+    );
+    if (newSearchRequestIds.length > 0) {
+      this.watchSearch(newSearchRequestIds[newSearchRequestIds.length - 1]);
+    }
+  }
+
+  // Records whether the search request of each element rendered items and returns the search
+  // requests seen for the first time. A search request that showed items keeps them, e.g.
+  // while its list is emptied before the next search is rendered.
+  recordRenderedResults(elements) {
+    const newSearchRequestIds = [];
+    elements.forEach(element => {
+      const searchRequestId = element.getAttribute(this.config.searchRequestIdAttribute);
+      if (!searchRequestId) return;
+      if (!this._renderedResults.has(searchRequestId)) {
+        newSearchRequestIds.push(searchRequestId);
+      }
+      const hasItems = element.matches(this.config.selector) || element.querySelector(this.config.selector) !== null;
+      this._renderedResults.set(searchRequestId, this._renderedResults.get(searchRequestId) || hasItems);
+    });
+    return newSearchRequestIds;
+  }
+
+  destroy() {
+    // Clear intervals
+    if (this._sessionInterval) {
+      clearInterval(this._sessionInterval);
+    }
+    if (this._batchInterval) {
+      clearInterval(this._batchInterval);
+    }
+    if (this._metricsInterval) {
+      clearInterval(this._metricsInterval);
+    }
+    if (this._retryTimer) {
+      clearTimeout(this._retryTimer);
+    }
+    if (this._queryTypedTimer) {
+      clearTimeout(this._queryTypedTimer);
+    }
+    if (this._softNavigationTimer) {
+      clearTimeout(this._softNavigationTimer);
+    }
+
+    if (this.tabSync) {
+      this.tabSync.close();
+    }
+
+    // Disconnect performance observers
+    if (this._observers) {
+      this._observers.forEach(observer => observer.disconnect());
+    }
+
+    // Disconnect impression observers
+    if (this._impressionObserver) {
+      this._impressionObserver.disconnect();
+    }
+    if (this._mutationObserver) {
+      this._mutationObserver.disconnect();
+    }
+
+    // Remove event listeners
+    if (this._activityListener) {
+      ACTIVITY_EVENT_TYPES.forEach(type => {
+        window.removeEventListener(type, this._activityListener, { capture: true });
+      });
+    }
     if (this._clickListener) {
       document.removeEventListener('click', this._clickListener);
     }
+    if (this._auxclickListener) {
+      document.removeEventListener('auxclick', this._auxclickListener);
+    }
+    if (this._contextmenuListener) {
+      document.removeEventListener('contextmenu', this._contextmenuListener);
+    }
+    if (this._keydownListener) {
+      document.removeEventListener('keydown', this._keydownListener);
+    }
     if (this._visibilityListener) {
       document.removeEventListener('visibilitychange', this._visibilityListener);
     }
     if (this._popstateListener) {
       window.removeEventListener('popstate', this._popstateListener);
     }
-    if (this._beforeunloadListener) {
-      window.removeEventListener('beforeunload', this._beforeunloadListener);
+    if (this._pagehideListener) {
+      window.removeEventListener('pagehide', this._pagehideListener);
+    }
+    if (this._scrollListener) {
+      window.removeEventListener('scroll', this._scrollListener);
+    }
+    if (this._resizeListener) {
+      window.removeEventListener('resize', this._resizeListener);
+    }
+    if (this._errorListener) {
+      window.removeEventListener('error', this._errorListener);
+      window.removeEventListener('unhandledrejection', this._errorListener);
+    }
+    if (this._suggestionClickListener) {
+      document.removeEventListener('click', this._suggestionClickListener, true);
+      document.removeEventListener('keydown', this._suggestionKeydownListener, true);
+    }
+    if (this._searchFocusListener) {
+      document.removeEventListener('focusin', this._searchFocusListener);
+      document.removeEventListener('input', this._searchInputListener);
+      document.removeEventListener('keydown', this._searchKeydownListener);
+      document.removeEventListener('submit', this._searchSubmitListener);
     }
 
     // Restore original history methods
@@ -513,6 +2252,7 @@ class SearchBehaviorAnalysisCollector {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = SearchBehaviorAnalysisCollector;
   module.exports.default = SearchBehaviorAnalysisCollector;
+  module.exports.schema = schema;
 } else {
   window.SearchBehaviorAnalysisCollector = SearchBehaviorAnalysisCollector;
 } 
\ No newline at end of file
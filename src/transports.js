@@ -0,0 +1,93 @@
+// Browsers allow at most 64 KiB of sendBeacon and keepalive request bodies in flight per page
+const KEEPALIVE_BODY_LIMIT = 64 * 1024;
+
+// A transport delivers a request body to a URL. send(url, body, headers) resolves once the
+// batch was accepted and rejects when it was not. Optional properties:
+// - maxBodySize: batches are split into bodies of at most this many bytes, and the bodies sent
+//   while the page is hidden or left may not add up to more
+// - compressible: the transport sends headers, so bodies may be gzipped
+// - isAvailable(): false when the browser lacks the API, the default transport is used instead
+async function postWithFetch(url, body, headers, options = {}) {
+  const response = await fetch(url, { method: 'POST', headers, body, ...options });
+  if (!response.ok) {
+    throw new Error(`Failed to send batch: ${response.status}`);
+  }
+}
+
+const transports = {
+  fetch: {
+    compressible: true,
+    send: (url, body, headers) => postWithFetch(url, body, headers)
+  },
+
+  // Outlives the page like a beacon, but reports the response status
+  keepalive: {
+    compressible: true,
+    maxBodySize: KEEPALIVE_BODY_LIMIT,
+    send: (url, body, headers) => postWithFetch(url, body, headers, { keepalive: true })
+  },
+
+  // Cannot set headers other than the content type, nor tell whether the request succeeded,
+  // only whether the browser queued it
+  beacon: {
+    maxBodySize: KEEPALIVE_BODY_LIMIT,
+    isAvailable: () => typeof navigator.sendBeacon === 'function',
+    send: async (url, body, headers) => {
+      if (!navigator.sendBeacon(url, new Blob([body], { type: headers['Content-Type'] }))) {
+        throw new Error('Failed to send batch via sendBeacon');
+      }
+    }
+  },
+
+  xhr: {
+    compressible: true,
+    isAvailable: () => typeof XMLHttpRequest === 'function',
+    send: (url, body, headers) => new Promise((resolve, reject) => {
+      const request = new XMLHttpRequest();
+      request.open('POST', url);
+      Object.entries(headers).forEach(([name, value]) => request.setRequestHeader(name, value));
+      request.onload = () => {
+        if (request.status >= 200 && request.status < 300) {
+          resolve();
+        } else {
+          reject(new Error(`Failed to send batch: ${request.status}`));
+        }
+      };
+      request.onerror = () => reject(new Error('Failed to send batch: network error'));
+      request.send(body);
+    })
+  }
+};
+
+function getByteLength(value) {
+  return new Blob([value]).size;
+}
+
+// Splits a payload by its items into payloads whose JSON fits into maxBodySize bytes, keeping
+// the items in order. An item too large on its own is sent alone and fails over to the retry
+// queue, which does not use a size-limited transport.
+function chunkPayload(payload, itemsKey, maxBodySize) {
+  if (!maxBodySize || getByteLength(JSON.stringify(payload)) <= maxBodySize) {
+    return [payload];
+  }
+
+  const envelopeSize = getByteLength(JSON.stringify({ ...payload, [itemsKey]: [] }));
+  const chunks = [[]];
+  let chunkSize = envelopeSize;
+  payload[itemsKey].forEach(item => {
+    const itemSize = getByteLength(JSON.stringify(item)) + 1; // Including the separating comma
+    if (chunks[chunks.length - 1].length > 0 && chunkSize + itemSize > maxBodySize) {
+      chunks.push([]);
+      chunkSize = envelopeSize;
+    }
+    chunks[chunks.length - 1].push(item);
+    chunkSize += itemSize;
+  });
+  return chunks.map(items => ({ ...payload, [itemsKey]: items }));
+}
+
+module.exports = {
+  transports,
+  chunkPayload,
+  getByteLength
+};
@@ -0,0 +1,171 @@
+// Layout shifts less than a second apart form a session window of at most 5 seconds
+const MAX_SHIFT_GAP = 1000;
+const MAX_WINDOW_DURATION = 5000;
+// INP skips one outlier per this many interactions, so only the longest few need to be kept
+const INTERACTIONS_PER_OUTLIER = 50;
+const MAX_INTERACTIONS = 10;
+const MAX_SELECTOR_DEPTH = 5;
+const MAX_ATTRIBUTED_SCRIPTS = 3;
+
+// Short CSS selector of an element for attribution, e.g. 'main#content>ul.results>li'
+function getSelector(node) {
+  let element = node?.nodeType === 1 ? node : node?.parentElement;
+  const parts = [];
+  while (element && parts.length < MAX_SELECTOR_DEPTH) {
+    let part = element.nodeName.toLowerCase();
+    if (element.id) {
+      parts.unshift(`${part}#${element.id}`);
+      break;
+    }
+    const classes = [...element.classList].slice(0, 2);
+    if (classes.length > 0) {
+      part += `.${classes.join('.')}`;
+    }
+    parts.unshift(part);
+    if (element === document.body) break;
+    element = element.parentElement;
+  }
+  return parts.length > 0 ? parts.join('>') : undefined;
+}
+
+// How far the page had loaded at a time relative to the navigation start
+function getLoadState(time) {
+  const navigation = performance.getEntriesByType?.('navigation')[0];
+  if (!navigation) {
+    return { loading: 'loading', interactive: 'dom-interactive' }[document.readyState] || 'complete';
+  }
+  if (!navigation.domInteractive || time < navigation.domInteractive) return 'loading';
+  if (!navigation.domContentLoadedEventStart || time < navigation.domContentLoadedEventStart) return 'dom-interactive';
+  if (!navigation.loadEventStart || time < navigation.loadEventStart) return 'dom-content-loaded';
+  return 'complete';
+}
+
+// The longest scripts that ran in a long animation frame, e.g. an event listener or a
+// promise callback, with the function and file they started in where known
+function getScriptAttribution(scripts = []) {
+  return [...scripts]
+    .sort((a, b) => b.duration - a.duration)
+    .slice(0, MAX_ATTRIBUTED_SCRIPTS)
+    .map(script => ({
+      invoker: script.invoker,
+      invokerType: script.invokerType,
+      sourceURL: script.sourceURL || undefined,
+      sourceFunctionName: script.sourceFunctionName || undefined,
+      duration: script.duration
+    }));
+}
+
+// Core Web Vitals of one page or route. Values only settle once the user leaves, so report()
+// returns the current values whenever the page is hidden or the route changes, skipping the
+// ones that did not change since the last report.
+// - LCP: the last largest-contentful-paint candidate, final after the first report
+// - CLS: the largest session window of layout shifts not caused by user input
+// - INP: the longest interaction, ignoring one outlier per 50 interactions
+class WebVitals {
+  constructor() {
+    this.lcp = null;
+    this.lcpFinal = false;
+    this.shiftWindow = { value: 0, entries: [] };
+    this.cls = { value: 0, entries: [] };
+    this.interactions = []; // Longest interactions first: { id, entry }
+    this.interactionCount = 0;
+    this.maxInteractionId = 0;
+    this.reported = {}; // type -> last reported value
+  }
+
+  recordLcp(entry) {
+    if (!this.lcpFinal) {
+      this.lcp = entry;
+    }
+  }
+
+  recordLayoutShift(entry) {
+    if (entry.hadRecentInput) return;
+
+    const { entries } = this.shiftWindow;
+    const first = entries[0];
+    const last = entries[entries.length - 1];
+    if (last && entry.startTime - last.startTime < MAX_SHIFT_GAP && entry.startTime - first.startTime < MAX_WINDOW_DURATION) {
+      this.shiftWindow = { value: this.shiftWindow.value + entry.value, entries: [...entries, entry] };
+    } else {
+      this.shiftWindow = { value: entry.value, entries: [entry] };
+    }
+
+    if (this.shiftWindow.value > this.cls.value) {
+      this.cls = this.shiftWindow;
+    }
+  }
+
+  // Event timing and first-input entries. Entries of one interaction share its interactionId.
+  recordInteraction(entry) {
+    if (!entry.interactionId) return;
+
+    if (entry.interactionId > this.maxInteractionId) {
+      this.maxInteractionId = entry.interactionId;
+      this.interactionCount++;
+    }
+
+    const interaction = this.interactions.find(({ id }) => id === entry.interactionId);
+    if (!interaction) {
+      this.interactions.push({ id: entry.interactionId, entry });
+    } else if (entry.duration > interaction.entry.duration) {
+      interaction.entry = entry;
+    }
+    this.interactions.sort((a, b) => b.entry.duration - a.entry.duration);
+    this.interactions.splice(MAX_INTERACTIONS);
+  }
+
+  report() {
+    const metrics = [];
+
+    if (this.lcp) {
+      this.lcpFinal = true;
+      metrics.push({
+        type: 'LCP',
+        value: this.lcp.startTime,
+        element: this.lcp.element?.tagName || 'unknown',
+        size: this.lcp.size,
+        url: this.lcp.url,
+        target: getSelector(this.lcp.element),
+        loadState: getLoadState(this.lcp.startTime)
+      });
+    }
+
+    // Pages without layout shifts have a CLS of 0
+    const largestShift = [...this.cls.entries].sort((a, b) => b.value - a.value)[0];
+    metrics.push({
+      type: 'CLS',
+      value: this.cls.value,
+      target: getSelector(largestShift?.sources?.find(source => source.node)?.node),
+      loadState: largestShift ? getLoadState(largestShift.startTime) : undefined
+    });
+
+    if (this.interactions.length > 0) {
+      const index = Math.min(
+        this.interactions.length - 1,
+        Math.floor(this.interactionCount / INTERACTIONS_PER_OUTLIER)
+      );
+      const { entry } = this.interactions[index];
+      metrics.push({
+        type: 'INP',
+        value: entry.duration,
+        eventType: entry.name,
+        target: getSelector(entry.target),
+        loadState: getLoadState(entry.startTime)
+      });
+    }
+
+    return metrics.filter(metric => {
+      if (this.reported[metric.type] === metric.value) return false;
+      this.reported[metric.type] = metric.value;
+      return true;
+    });
+  }
+}
+
+module.exports = {
+  WebVitals,
+  getSelector,
+  getLoadState,
+  getScriptAttribution
+};